@@ -0,0 +1,110 @@
+// ============================================================================
+// ANNOTATOR - Per-word metadata for styling
+// ============================================================================
+//
+// Every queued word gets:
+//   pos       -> rough part of speech from a tiny rule tagger (closed word
+//                classes, suffixes and the previous tag - no model)
+//   sentiment -> -1..1 from a small lexicon, flipped after a negation
+//   origin    -> 'prompt' for the displayed prompt prefix, 'visitor' for a
+//                visitor's word, 'model' otherwise
+//   novelty   -> 1 for a word never seen this run, falling as it repeats
+// The simulation turns this into size, weight, opacity and path speed (see
+// wordStyle in simulation.js). Pure module; memory is bounded.
+
+import { wordCore } from './filters.js'
+
+const CLOSED_CLASSES = {
+    det: ['a', 'an', 'the', 'this', 'that', 'these', 'those', 'every', 'each', 'some', 'any', 'no', 'my', 'your', 'his', 'her', 'its', 'our', 'their'],
+    pron: ['i', 'me', 'you', 'he', 'him', 'she', 'it', 'we', 'us', 'they', 'them', 'myself', 'yourself', 'itself', 'ourselves', 'themselves', 'who', 'what', 'something', 'nothing', 'everything', 'anything'],
+    prep: ['in', 'on', 'at', 'by', 'for', 'with', 'from', 'to', 'of', 'into', 'onto', 'over', 'under', 'through', 'between', 'without', 'within', 'about', 'above', 'below', 'like', 'inside', 'outside', 'beyond'],
+    conj: ['and', 'or', 'but', 'nor', 'so', 'yet', 'because', 'if', 'while', 'when', 'where', 'although', 'though', 'than', 'as'],
+    verb: ['is', 'am', 'are', 'was', 'were', 'be', 'been', 'being', 'have', 'has', 'had', 'do', 'does', 'did', 'can', 'could', 'will', 'would', 'shall', 'should', 'may', 'might', 'must', 'know', 'feel', 'want', 'need', 'say', 'said', 'think', 'see', 'make', 'go', 'get'],
+    adv: ['not', 'never', 'always', 'very', 'so', 'too', 'just', 'now', 'then', 'here', 'there', 'again', 'still', 'already', 'almost', 'ever']
+}
+// Reversed so the first class listed wins for words in several ("so")
+const CLOSED_WORDS = new Map(
+    Object.entries(CLOSED_CLASSES).flatMap(([tag, words]) => words.map(word => [word, tag])).reverse()
+)
+
+// Suffix -> tag, longest first
+const SUFFIXES = [
+    ['ness', 'noun'], ['ment', 'noun'], ['tion', 'noun'], ['sion', 'noun'], ['ity', 'noun'], ['ism', 'noun'],
+    ['ous', 'adj'], ['ful', 'adj'], ['less', 'adj'], ['able', 'adj'], ['ible', 'adj'], ['ive', 'adj'], ['ic', 'adj'], ['al', 'adj'],
+    ['ly', 'adv'],
+    ['ing', 'verb'], ['ed', 'verb'], ['ize', 'verb'], ['ise', 'verb'], ['ify', 'verb']
+]
+
+const POSITIVE = new Set([
+    'love', 'loved', 'loving', 'joy', 'joyful', 'happy', 'happiness', 'bliss', 'beautiful', 'calm', 'peace',
+    'peaceful', 'gentle', 'warm', 'light', 'bright', 'hope', 'hopeful', 'free', 'freedom', 'kind', 'kindness',
+    'tender', 'smile', 'laugh', 'laughing', 'funny', 'wonderful', 'incredible', 'pleasure', 'delight', 'sweet',
+    'safe', 'dream', 'dreams', 'alive', 'grace', 'glow', 'good', 'great', 'soft', 'trust', 'friend', 'friendship'
+])
+const NEGATIVE = new Set([
+    'hate', 'hated', 'hating', 'fear', 'afraid', 'sad', 'sadness', 'pain', 'painful', 'hurt', 'cold', 'dark',
+    'darkness', 'lonely', 'alone', 'lost', 'empty', 'broken', 'cry', 'crying', 'dying', 'death', 'dead', 'kill',
+    'anger', 'angry', 'rage', 'disgusting', 'despicable', 'ugly', 'bad', 'terrible', 'awful', 'confusion',
+    'unclear', 'nothing', 'never', 'wrong', 'sick', 'tired', 'grief', 'shame', 'stolen', 'strange', 'barren'
+])
+const NEGATIONS = new Set(['not', 'no', 'never', 'nothing', "don't", "doesn't", "didn't", "isn't", "can't", "won't"])
+
+const NOVELTY_LIMIT = 5000 // Distinct words counted before the rarest are pruned
+
+export function tagWord(word, previousTag = null) {
+    const core = wordCore(word)
+    if (!core) return 'other'
+    if (/^\p{N}+$/u.test(core)) return 'num'
+    if (CLOSED_WORDS.has(core)) return CLOSED_WORDS.get(core)
+
+    for (const [suffix, tag] of SUFFIXES) {
+        if (core.length > suffix.length + 2 && core.endsWith(suffix)) return tag
+    }
+    // Open-class guess from the neighbour: "to go", "they run", "the run"
+    if (previousTag === 'pron' || previousTag === 'verb') return 'verb'
+    return 'noun'
+}
+
+export function wordSentiment(word) {
+    const core = wordCore(word)
+    if (POSITIVE.has(core)) return 1
+    if (NEGATIVE.has(core)) return -1
+    return 0
+}
+
+export class WordAnnotator {
+    constructor() {
+        this.counts = new Map() // core -> times seen this run
+    }
+
+    // `origins` is one 'prompt' / 'visitor' / 'model' per word
+    annotateSentence(words, origins = []) {
+        let previousTag = null
+        let negated = false
+
+        return words.map((word, i) => {
+            const core = wordCore(word)
+            const pos = tagWord(word, previousTag)
+            const sentiment = wordSentiment(word) * (negated ? -1 : 1)
+            previousTag = pos
+            // A negation flips the next sentiment word; punctuation ends its reach
+            if (NEGATIONS.has(word.toLowerCase().replace(/[^\p{L}']/gu, ''))) negated = true
+            else if (sentiment !== 0 || /[,.;:!?]$/.test(word)) negated = false
+
+            return { pos, sentiment, origin: origins[i] ?? 'model', novelty: this.novelty(core) }
+        })
+    }
+
+    novelty(core) {
+        if (!core) return 0
+        const seen = this.counts.get(core) ?? 0
+        this.counts.set(core, seen + 1)
+
+        // Keep the more frequent half, halved, so old words can feel new again
+        if (this.counts.size > NOVELTY_LIMIT) {
+            const kept = [...this.counts].sort((a, b) => b[1] - a[1]).slice(0, NOVELTY_LIMIT / 2)
+            this.counts = new Map(kept.map(([word, count]) => [word, Math.floor(count / 2)]))
+        }
+        return 1 / (1 + seen)
+    }
+}
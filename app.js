@@ -1,469 +1,369 @@
 import p5 from 'p5'
 import { CreateMLCEngine } from '@mlc-ai/web-llm'
-
-// WebLLM engine instance (initialized in init())
-let engine = null
-const MODEL_ID = 'SmolLM2-360M-Instruct-q4f16_1-MLC'
-
-// ============================================================================
-// CONFIGURATION
-// ============================================================================
-
-// LLM Configuration
-const MAX_CONTEXT_LENGTH = 512
-const MAX_SENTENCE_BUFFER = 50 // Max sentences to buffer (~500 words at 10 words/sentence)
-
-// Ocean Physics Constants
-const REPULSION_RADIUS = 20
-const REPULSION_RADIUS_SQ = REPULSION_RADIUS * REPULSION_RADIUS
-const REPULSION_STRENGTH = 10.0
-const ATTRACTION_MIN = 50
-const ATTRACTION_MIN_SQ = ATTRACTION_MIN * ATTRACTION_MIN
-const ATTRACTION_MAX = 150
-const ATTRACTION_MAX_SQ = ATTRACTION_MAX * ATTRACTION_MAX
-const ATTRACTION_STRENGTH = 0.05
-const GRAVITY_STRENGTH = 0.05
-const COLLISION_SPEED_THRESHOLD = 0.2
-const COLLISION_SPIN_FACTOR = 1
-const SPIN_NOISE = 0.003
-const WORD_ROTATION_SPEED = 0.001
-const PATH_MAX_DISTANCE = 1000
-const PATH_SPEED = 0.0005
-const MAX_LETTER_SPEED = 3 // Target cruise speed for letters
-const SPEED_DECELERATION = 0.3 // Deceleration rate when exceeding max speed
-const LETTER_COUNT = 500 // Number of letter particles in the ocean
-
-// Path Curve - Consistent gentle curve for all words
-const PATH_CURVE_AMOUNT = 0.2  // Curve amount in radians
-
-// Quadtree configuration
-const QUADTREE_CAPACITY = 8  // Max items per node before subdivision
+import {
+    CONFIG_SCHEMA,
+    config,
+    validateConfigValue,
+    applyConfig,
+    loadConfig
+} from './config.js'
+import { createRandom, seedRandom } from './random.js'
+import { Ocean, registerChoreography } from './simulation.js'
+import { WordFilter, filterOptionsFromConfig } from './filters.js'
+import { Moderator, moderationOptionsFromConfig } from './moderation.js'
+import { ContextManager, contextOptionsFromConfig } from './context.js'
+import { DegenerationDetector, degenerationOptionsFromConfig } from './degeneration.js'
+import { GenerationController, generationOptionsFromConfig } from './generation.js'
+import { SentenceSegmenter, segmenterOptionsFromConfig } from './segmenter.js'
+import { WordAnnotator } from './annotator.js'
+import { parsePrompts, promptCorpus, promptKey, PromptScheduler, schedulerOptionsFromConfig } from './prompts.js'
+import { SessionRecorder, SessionPlayer, validateRecording } from './session.js'
+import { FrameExporter, canvasBlob, downloadBlob, exportOptionsFromConfig } from './capture.js'
+import { Transcript, TranscriptView, shareTranscript, followTranscript } from './transcript.js'
+import { VisitorWords, ClusterSpeller, visitorOptionsFromConfig, clusterOptionsFromConfig } from './visitor.js'
+import { PointerTracker } from './pointers.js'
+import { IdleController } from './idle.js'
+import { FIELD_TYPES } from './fields.js'
 
 // ============================================================================
-// QUADTREE - Spatial partitioning for efficient neighbor queries
+// TEXT SOURCES - Pluggable backends that stream generated text
 // ============================================================================
+//
+// Every source has the same shape so StreamManager doesn't care where words
+// come from:
+//   name                         - short label for status and logging
+//   load(onStatus)               - async setup; throws if the source is unusable
+//   stream(prompt, { maxTokens, temperature, repetitionPenalty, signal })
+//                                - async iterable of raw text chunks; sources
+//                                  ignore options their backend lacks and stop
+//                                  early when `signal` aborts
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+// In-browser model via WebLLM (requires WebGPU)
+class WebLLMSource {
+    constructor({ modelId = config.modelId } = {}) {
+        this.name = 'webllm'
+        this.modelId = modelId
+        this.engine = null
+    }
 
-class Rectangle {
-    constructor(x, y, w, h) {
-        this.x = x      // Center x
-        this.y = y      // Center y
-        this.w = w      // Half width
-        this.h = h      // Half height
+    async load(onStatus = () => {}) {
+        onStatus('Loading AI model...')
+        this.engine = await CreateMLCEngine(this.modelId, {
+            initProgressCallback: (progress) => {
+                const percent = Math.round(progress.progress * 100)
+                onStatus(`Loading model: ${percent}%`)
+                console.log('Model loading:', progress)
+            }
+        })
     }
 
-    contains(point) {
-        return (
-            point.pos.x >= this.x - this.w &&
-            point.pos.x < this.x + this.w &&
-            point.pos.y >= this.y - this.h &&
-            point.pos.y < this.y + this.h
-        )
+    async unload() {
+        await this.engine?.unload()
+        this.engine = null
     }
 
-    intersects(range) {
-        return !(
-            range.x - range.w > this.x + this.w ||
-            range.x + range.w < this.x - this.w ||
-            range.y - range.h > this.y + this.h ||
-            range.y + range.h < this.y - this.h
-        )
+    async *stream(prompt, { maxTokens = 150, temperature, repetitionPenalty, signal } = {}) {
+        const chunks = await this.engine.chat.completions.create({
+            messages: [{ role: 'user', content: prompt }],
+            stream: true,
+            max_tokens: maxTokens,
+            temperature,
+            ...(repetitionPenalty ? { repetition_penalty: repetitionPenalty } : {})
+        })
+
+        // The engine keeps decoding unless told to stop
+        const interrupt = () => this.engine?.interruptGenerate()
+        signal?.addEventListener('abort', interrupt)
+        try {
+            for await (const chunk of chunks) {
+                const content = chunk.choices[0]?.delta?.content || ''
+                if (content) yield content
+            }
+        } finally {
+            signal?.removeEventListener('abort', interrupt)
+        }
     }
 }
 
-class Quadtree {
-    constructor(boundary) {
-        this.boundary = boundary
-        this.points = []
-        this.divided = false
-        this.northeast = null
-        this.northwest = null
-        this.southeast = null
-        this.southwest = null
+// Streaming HTTP client for Ollama or any OpenAI-compatible server
+class HttpSource {
+    constructor({ endpoint, model } = {}) {
+        this.name = 'http'
+        this.endpoint = (endpoint || 'http://localhost:11434/v1').replace(/\/+$/, '')
+        this.model = model
     }
 
-    subdivide() {
-        const x = this.boundary.x
-        const y = this.boundary.y
-        const w = this.boundary.w / 2
-        const h = this.boundary.h / 2
-
-        this.northeast = new Quadtree(new Rectangle(x + w, y - h, w, h))
-        this.northwest = new Quadtree(new Rectangle(x - w, y - h, w, h))
-        this.southeast = new Quadtree(new Rectangle(x + w, y + h, w, h))
-        this.southwest = new Quadtree(new Rectangle(x - w, y + h, w, h))
-        this.divided = true
+    async load(onStatus = () => {}) {
+        onStatus(`Connecting to ${this.endpoint}...`)
+        // A 404 or 500 means no usable server here, so fail and let SourceFallback move on
+        const response = await fetch(`${this.endpoint}/models`)
+        if (!response.ok) throw new Error(`Server ${this.endpoint} responded ${response.status}`)
     }
 
-    insert(point) {
-        if (!this.boundary.contains(point)) {
-            return false
-        }
+    async *stream(prompt, { maxTokens = 150, temperature, repetitionPenalty, signal } = {}) {
+        const response = await fetch(`${this.endpoint}/chat/completions`, {
+            method: 'POST',
+            signal,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                model: this.model,
+                messages: [{ role: 'user', content: prompt }],
+                stream: true,
+                max_tokens: maxTokens,
+                temperature,
+                // OpenAI-style servers only know the additive frequency penalty
+                frequency_penalty: repetitionPenalty ? repetitionPenalty - 1 : undefined
+            })
+        })
 
-        if (this.points.length < QUADTREE_CAPACITY && !this.divided) {
-            this.points.push(point)
-            return true
+        if (!response.ok || !response.body) {
+            throw new Error(`HTTP source responded ${response.status}`)
         }
 
-        if (!this.divided) {
-            this.subdivide()
-            // Re-insert existing points into children
-            for (const p of this.points) {
-                this.northeast.insert(p) ||
-                this.northwest.insert(p) ||
-                this.southeast.insert(p) ||
-                this.southwest.insert(p)
-            }
-            this.points = []
-        }
+        const reader = response.body.getReader()
+        const decoder = new TextDecoder()
+        let pending = ''
 
-        return (
-            this.northeast.insert(point) ||
-            this.northwest.insert(point) ||
-            this.southeast.insert(point) ||
-            this.southwest.insert(point)
-        )
-    }
+        try {
+            while (true) {
+                const { done, value } = await reader.read()
+                if (done) break
 
-    query(range, found = []) {
-        if (!this.boundary.intersects(range)) {
-            return found
-        }
+                pending += decoder.decode(value, { stream: true })
+                const lines = pending.split('\n')
+                pending = lines.pop()
 
-        for (const p of this.points) {
-            if (range.contains(p)) {
-                found.push(p)
+                for (const line of lines) {
+                    const content = HttpSource.parseLine(line)
+                    if (content) yield content
+                }
             }
+        } finally {
+            // Closes the connection when the consumer stops early
+            reader.cancel().catch(() => {})
         }
 
-        if (this.divided) {
-            this.northeast.query(range, found)
-            this.northwest.query(range, found)
-            this.southeast.query(range, found)
-            this.southwest.query(range, found)
-        }
+        const content = HttpSource.parseLine(pending)
+        if (content) yield content
+    }
 
-        return found
+    // Accepts SSE ("data: {...}") and newline-delimited JSON (Ollama native API)
+    static parseLine(line) {
+        let payload = line.trim()
+        if (payload.startsWith('data:')) payload = payload.slice(5).trim()
+        if (!payload || payload === '[DONE]') return ''
+
+        try {
+            const data = JSON.parse(payload)
+            return data.choices?.[0]?.delta?.content
+                ?? data.choices?.[0]?.text
+                ?? data.message?.content
+                ?? data.response
+                ?? ''
+        } catch (error) {
+            console.warn('Unparseable stream line:', payload)
+            return ''
+        }
     }
 }
 
-// ============================================================================
-// LETTER CLASS - Physics-based letter particle
-// ============================================================================
+// Offline source that replays or Markov-chains a text file
+class CorpusSource {
+    constructor({ url = 'prompts.txt', mode = 'markov', order = 2, wordDelay = 40, promptFile = false } = {}) {
+        this.name = 'corpus'
+        this.url = url
+        this.promptFile = promptFile // Parse as a prompts file instead of plain text
+        this.mode = mode
+        this.order = order
+        this.wordDelay = wordDelay // ms between words, so the stream paces like a model
+        this.words = []
+        this.chain = new Map() // "w1 w2" -> [next words]
+        this.keys = []
+        this.cursor = 0
+    }
 
-class Letter {
-    constructor(char, x, y, p) {
-        this.char = char
-        this.p = p
-
-        // Visual properties
-        this.size = 24
-        this.alpha = 255
-
-        // Linear physics
-        this.pos = p.createVector(x, y)
-        this.vel = p.createVector(p.random(-0.5, 0.5), p.random(-0.5, 0.5))
-        this.acc = p.createVector(0, 0)
-        this.maxSpeed = MAX_LETTER_SPEED
-        this.maxSpeedSq = MAX_LETTER_SPEED * MAX_LETTER_SPEED  // Cached for perf
-        this.maxForce = 0.2
-        this.mass = 1
-
-        // Rotational physics
-        this.angle = p.random(p.TWO_PI)
-        this.angularVel = p.random(-0.1, 0.1)
-        this.angularAcc = 0
-        this.radius = this.size / 2
-        this.momentOfInertia = this.mass * this.radius * this.radius
-
-        // Word formation state
-        this.recruited = false
-        this.targetPos = null
-        this.targetIndex = -1
-        this.wordId = null
-        this.word = null  // Direct reference to WordFormation for orientation lookup
-        this.dragging = false
-
-        // Pre-allocated vectors for physics calculations (reused each frame)
-        this._repulsionForce = p.createVector(0, 0)
-        this._attractionForce = p.createVector(0, 0)
-    }
-
-    applyForce(force) {
-        const f = force.copy().div(this.mass)
-        this.acc.add(f)
-    }
-
-    applyTorque(torque) {
-        this.angularAcc += torque / this.momentOfInertia
-    }
-
-    // Combined repulsion + attraction in single loop using squared distances
-    // Use quadtree to find nearby particles efficiently
-    applyNeighborForces(quadtree) {
-        if (this.dragging) return
-
-        // Query quadtree for particles within attraction range (the larger range)
-        const queryRange = new Rectangle(
-            this.pos.x, this.pos.y,
-            ATTRACTION_MAX, ATTRACTION_MAX
-        )
-        const neighbors = quadtree.query(queryRange)
-
-        // Reuse pre-allocated vectors (reset to zero)
-        const repulsionForce = this._repulsionForce.set(0, 0)
-        const attractionForce = this._attractionForce.set(0, 0)
-        let repulsionCount = 0
-        let attractionCount = 0
-
-        for (const other of neighbors) {
-            if (other === this) continue
-
-            // Calculate squared distance first (no sqrt)
-            const dx = this.pos.x - other.pos.x
-            const dy = this.pos.y - other.pos.y
-            const dSq = dx * dx + dy * dy
-
-            // Repulsion check (close range)
-            if (dSq > 0 && dSq < REPULSION_RADIUS_SQ) {
-                const d = Math.sqrt(dSq)  // Only compute sqrt when needed
-                const forceMag = REPULSION_STRENGTH / d
-                // Normalize by dividing by d
-                repulsionForce.x += (dx / d) * forceMag
-                repulsionForce.y += (dy / d) * forceMag
-
-                // Apply collision torque
-                const relVelX = this.vel.x - other.vel.x
-                const relVelY = this.vel.y - other.vel.y
-                const impactSpeedSq = relVelX * relVelX + relVelY * relVelY
-
-                if (impactSpeedSq > COLLISION_SPEED_THRESHOLD * COLLISION_SPEED_THRESHOLD) {
-                    const impactSpeed = Math.sqrt(impactSpeedSq)
-                    const spinDiff = other.angularVel - this.angularVel
-
-                    const transferFactor = impactSpeed * 0.12
-                    const spinTransfer = spinDiff * transferFactor
-                    const impactRandomSpin = (Math.random() - 0.5) * impactSpeed * COLLISION_SPIN_FACTOR * 1.5
-                    const spinSimilarity = 1.0 / (1.0 + Math.abs(spinDiff) * 5)
-                    const similarityBonus = (Math.random() - 0.5) * impactSpeed * COLLISION_SPIN_FACTOR * spinSimilarity
-
-                    this.applyTorque(spinTransfer + impactRandomSpin + similarityBonus)
-                }
+    async load(onStatus = () => {}) {
+        onStatus(`Loading corpus ${this.url}...`)
+        const response = await fetch(this.url)
+        if (!response.ok) throw new Error(`Corpus ${this.url} responded ${response.status}`)
+        this.setText(await response.text())
+    }
 
-                repulsionCount++
-            }
-            // Attraction check (medium range) - note: uses opposite direction
-            else if (dSq > ATTRACTION_MIN_SQ && dSq < ATTRACTION_MAX_SQ) {
-                const d = Math.sqrt(dSq)
-                // Attraction goes toward other (negative dx/dy direction)
-                attractionForce.x += (-dx / d) * ATTRACTION_STRENGTH
-                attractionForce.y += (-dy / d) * ATTRACTION_STRENGTH
-                attractionCount++
-            }
-        }
+    // Built-in generator: chain over text already in memory, no fetch needed
+    static fromText(text, options = {}) {
+        const source = new CorpusSource(options)
+        source.load = async () => source.setText(text)
+        return source
+    }
 
-        if (repulsionCount > 0) {
-            repulsionForce.div(repulsionCount)
-            this.applyForce(repulsionForce)
-        }
-        if (attractionCount > 0) {
-            attractionForce.div(attractionCount)
-            this.applyForce(attractionForce)
+    setText(text) {
+        // The prompts file (line or JSON format) contributes its prompt text only;
+        // any other corpus is plain text, minus the bars of "seed|display" lines
+        const corpus = this.promptFile ? promptCorpus(parsePrompts(text).prompts) : text.replace(/\|/g, ' ')
+        this.words = corpus.split(/\s+/).filter(w => w)
+        if (this.words.length <= this.order) throw new Error('Corpus too short')
+
+        this.chain.clear()
+        for (let i = 0; i < this.words.length - this.order; i++) {
+            const key = this.words.slice(i, i + this.order).join(' ')
+            if (!this.chain.has(key)) this.chain.set(key, [])
+            this.chain.get(key).push(this.words[i + this.order])
         }
+        this.keys = [...this.chain.keys()]
     }
 
-    gravitate(centerX, centerY) {
-        if (this.dragging) return
+    async *stream(prompt, { maxTokens = 150, signal } = {}) {
+        const next = this.mode === 'replay'
+            ? this.replayWords()
+            : this.markovWords(prompt)
 
-        // Inline math to avoid vector allocations
-        const dx = centerX - this.pos.x
-        const dy = centerY - this.pos.y
-        const distSq = dx * dx + dy * dy
-
-        if (distSq > 0) {
-            const dist = Math.sqrt(distSq)
-            // Normalize and apply gravity strength (mass is 1, so skip division)
-            this.acc.x += (dx / dist) * GRAVITY_STRENGTH
-            this.acc.y += (dy / dist) * GRAVITY_STRENGTH
+        for (let i = 0; i < maxTokens && !signal?.aborted; i++) {
+            yield next() + ' '
+            await sleep(this.wordDelay)
         }
     }
 
-    swim(wordDirection = null) {
-        if (this.recruited && this.targetPos) {
-            const desired = p5.Vector.sub(this.targetPos, this.pos)
-            const d = desired.mag()
-
-            let speed = this.maxSpeed * 2
-            if (d < 100) {
-                speed = this.p.map(d, 0, 100, 0, speed)
-            }
+    replayWords() {
+        return () => {
+            const word = this.words[this.cursor]
+            this.cursor = (this.cursor + 1) % this.words.length
+            return word
+        }
+    }
 
-            desired.setMag(speed)
-            const steer = p5.Vector.sub(desired, this.vel).limit(this.maxForce * 4)
-            this.applyForce(steer)
-
-            // Align rotation with word direction
-            if (wordDirection !== null) {
-                let angleDiff = wordDirection - this.angle
-                while (angleDiff > this.p.PI) angleDiff -= this.p.TWO_PI
-                while (angleDiff < -this.p.PI) angleDiff += this.p.TWO_PI
-                this.applyTorque(angleDiff * 0.15)
-                this.angularVel *= 0.9
+    markovWords(prompt) {
+        // Continue from the prompt's last words when the chain knows them
+        const tail = prompt.split(/\s+/).filter(w => w).slice(-this.order)
+        let state = this.chain.has(tail.join(' '))
+            ? tail
+            : this.keys[Math.floor(Math.random() * this.keys.length)].split(' ')
+
+        return () => {
+            let options = this.chain.get(state.join(' '))
+            if (!options) {
+                state = this.keys[Math.floor(Math.random() * this.keys.length)].split(' ')
+                options = this.chain.get(state.join(' '))
             }
+            const word = options[Math.floor(Math.random() * options.length)]
+            state = [...state.slice(1), word]
+            return word
         }
     }
+}
 
-    update() {
-        // Linear motion
-        if (!this.dragging) {
-            this.vel.add(this.acc)
+function createTextSource(options) {
+    switch (options.source) {
+        case 'http':
+            return new HttpSource({ endpoint: options.endpoint, model: options.httpModel })
+        case 'corpus':
+            return new CorpusSource({
+                url: options.corpusUrl,
+                mode: options.corpusMode,
+                promptFile: options.corpusUrl === options.promptsUrl
+            })
+        case 'webllm':
+            return new WebLLMSource({ modelId: options.modelId })
+        default:
+            console.warn(`Unknown text source "${options.source}", using webllm`)
+            return new WebLLMSource({ modelId: options.modelId })
+    }
+}
 
-            // Soft speed limit - use squared magnitude to avoid sqrt
-            const currentSpeedSq = this.vel.magSq()
-            if (currentSpeedSq > this.maxSpeedSq) {
-                // Only compute actual speed when we need to modify velocity
-                const currentSpeed = Math.sqrt(currentSpeedSq)
-                const excess = currentSpeed - this.maxSpeed
-                const newSpeed = currentSpeed - excess * SPEED_DECELERATION
-                this.vel.setMag(newSpeed)
-            }
+// ============================================================================
+// SOURCE FALLBACK - Degrade through tiers, periodically retry upgrading
+// ============================================================================
+
+class SourceFallback {
+    constructor(tiers, { onStatus = () => {}, onChange = () => {} } = {}) {
+        this.tiers = tiers // [{ label, create }] best first
+        this.activeIndex = -1
+        this.active = null
+        this.onStatus = onStatus
+        this.onChange = onChange
+        this.upgrading = false
+        this.upgradeTimer = null
+    }
+
+    // Walk down the chain until a tier loads
+    async connect(fromIndex = 0) {
+        for (let i = fromIndex; i < this.tiers.length; i++) {
+            if (await this.tryTier(i, this.onStatus)) return this.active
+        }
+        throw new Error('No text source available')
+    }
+
+    async tryTier(index, onStatus = () => {}) {
+        const tier = this.tiers[index]
+        const source = tier.create()
 
-            this.pos.add(this.vel)
+        try {
+            await source.load(onStatus)
+        } catch (error) {
+            console.warn(`⚠️  ${tier.label} unavailable:`, error)
+            return false
         }
 
-        this.acc.mult(0)
+        const previous = this.active
+        this.active = source
+        this.activeIndex = index
+        console.log(`🪜 Source tier ${index + 1}/${this.tiers.length}: ${tier.label}`)
+        this.onChange(source, tier, index)
 
-        // Rotational motion
-        this.angularVel += this.angularAcc
-        if (!this.recruited) {
-            this.angularVel += this.p.random(-SPIN_NOISE, SPIN_NOISE)
+        if (previous && previous !== source) {
+            previous.unload?.().catch(error => console.warn('Unload failed:', error))
         }
-        this.angle += this.angularVel
-        this.angularAcc = 0
+        return true
     }
 
-    display() {
-        this.p.push()
-        this.p.translate(this.pos.x, this.pos.y)
-        this.p.rotate(this.angle)
-        this.p.fill(0, this.alpha)
-        this.p.textSize(this.size)
-        this.p.textAlign(this.p.CENTER, this.p.CENTER)
-        // Font is set once per frame in draw() before push/pop
-        this.p.text(this.char, 0, 0)
-        this.p.pop()
+    // Called when the active source keeps failing mid-generation
+    async downgrade() {
+        if (this.activeIndex >= this.tiers.length - 1) return
+        console.warn(`⬇️  Dropping from ${this.tiers[this.activeIndex].label}`)
+        await this.connect(this.activeIndex + 1)
     }
-}
 
-// ============================================================================
-// WORD FORMATION CLASS - Manages recruited letters forming words
-// ============================================================================
+    startUpgradeRetries(interval = config.upgradeRetryInterval) {
+        clearInterval(this.upgradeTimer)
+        this.upgradeTimer = setInterval(() => this.tryUpgrade(), interval)
+    }
 
-let nextWordId = 0
-let currentWordDirection = 0
-
-// Word emission timing for bursts
-let burstQueue = [] // Queue of word bursts (arrays of {word, direction})
-let currentBurst = [] // Current burst being emitted
-let nextBurstEmissionTime = 0 // Time when next word in burst can be emitted
-let burstCooldownUntil = 0 // Time when next burst can start
-let gravityDisabled = false // Temporary gravity disable for zero-g mode
-const BURST_WORD_DELAY = 2000 // 2 seconds between words in a burst
-const BURST_COOLDOWN = 30000 // 30 seconds between bursts
-
-class WordFormation {
-    constructor(word, p, startX = null, startY = null) {
-        this.word = word.toUpperCase()
-        this.id = nextWordId++
-        this.letters = []
-        this.p = p
-
-        const x = startX !== null ? startX : p.width / 2
-        const y = startY !== null ? startY : p.height / 2
-        this.pos = p.createVector(x, y)
-        this.centerX = x  // Center X for this word's trajectory
-        this.centerY = y  // Center Y for this word's trajectory
-        this.direction = currentWordDirection
-        this.pathProgress = 0
-        this.currentOrientation = this.direction
-        this.launched = false
-
-        // Consistent path characteristics - same curve for all words
-        this.curveAmount = PATH_CURVE_AMOUNT
-        this.curveDirection = 1  // Always curve in same direction
-        this.maxDistance = PATH_MAX_DISTANCE
-    }
-
-    update() {
-        if (this.launched) return
-
-        this.pathProgress += PATH_SPEED
-
-        // Use the center position this word was created with
-        const centerX = this.centerX
-        const centerY = this.centerY
-
-        // Parametric curved path with subtle random variation
-        const t = this.pathProgress
-        const distanceFromCenter = Math.sin(t * Math.PI) * this.maxDistance
-
-        // Subtle curve that can go left or right
-        const angleOffset = t * Math.PI * this.curveAmount * this.curveDirection
-        const currentAngle = this.direction + angleOffset
-
-        this.pos.x = centerX + Math.cos(currentAngle) * distanceFromCenter
-        this.pos.y = centerY + Math.sin(currentAngle) * distanceFromCenter
-
-        // Calculate tangent direction for word orientation
-        const dr_dt = Math.PI * Math.cos(t * Math.PI) * this.maxDistance
-        const dtheta_dt = Math.PI * this.curveAmount * this.curveDirection
-        const r_dtheta = distanceFromCenter * dtheta_dt
-
-        const vx = dr_dt * Math.cos(currentAngle) - r_dtheta * Math.sin(currentAngle)
-        const vy = dr_dt * Math.sin(currentAngle) + r_dtheta * Math.cos(currentAngle)
-
-        this.currentOrientation = Math.atan2(vy, vx)
-        this.updateTargetPositions()
-    }
-
-    updateTargetPositions() {
-        const letterSpacing = 15  // 50% of original 30 for zoomed-out effect
-        const wordWidth = this.word.length * letterSpacing
-        const startX = -wordWidth / 2
-
-        // Cache sin/cos once per word instead of per letter
-        const cos = Math.cos(this.currentOrientation)
-        const sin = Math.sin(this.currentOrientation)
-
-        for (let i = 0; i < this.letters.length; i++) {
-            const letter = this.letters[i]
-            if (letter.recruited && letter.targetIndex !== -1) {
-                const localX = startX + letter.targetIndex * letterSpacing
-                // localY is always 0, so we can simplify the rotation
-                const rotatedX = localX * cos
-                const rotatedY = localX * sin
-
-                letter.targetPos = p5.Vector.add(this.pos, this.p.createVector(rotatedX, rotatedY))
+    async tryUpgrade() {
+        if (this.activeIndex <= 0 || this.upgrading) return
+        this.upgrading = true
+        try {
+            // Quiet retries - console only, the status line stays clean
+            for (let i = 0; i < this.activeIndex; i++) {
+                if (await this.tryTier(i, (message) => console.log(`🔁 ${message}`))) break
             }
+        } finally {
+            this.upgrading = false
         }
     }
+}
 
-    dissolve() {
-        if (this.launched) return
+// `promptText` is a function so the offline tier picks up reloaded prompts
+function buildSourceTiers(options, promptText) {
+    const preferred = Math.max(0, ['webllm', 'http', 'corpus'].indexOf(options.source))
+    const tiers = []
 
-        for (const letter of this.letters) {
-            letter.recruited = false
-            letter.wordId = null
-            letter.word = null
-            letter.targetPos = null
-            letter.targetIndex = -1
-            letter.vel.mult(0.3)
-        }
-        this.launched = true
+    if (preferred <= 0) {
+        tiers.push({ label: 'webllm', create: () => createTextSource({ ...options, source: 'webllm' }) })
     }
-
-    shouldDissolve() {
-        return this.pathProgress >= 0.2
+    if (preferred <= 1 && (options.endpoint || options.source === 'http')) {
+        tiers.push({ label: 'http', create: () => createTextSource({ ...options, source: 'http' }) })
     }
+    if (preferred <= 2 && options.source === 'corpus') {
+        tiers.push({ label: 'corpus', create: () => createTextSource({ ...options, source: 'corpus' }) })
+    }
+
+    // Last resort always works: Markov chain over the prompts already loaded
+    tiers.push({
+        label: 'offline',
+        create: () => CorpusSource.fromText(promptText(), { mode: 'markov' })
+    })
+    return tiers
 }
 
 // ============================================================================
@@ -471,21 +371,51 @@ class WordFormation {
 // ============================================================================
 
 class StreamManager {
-    constructor() {
+    constructor(source = null) {
+        this.source = source
+        this.burstQueue = [] // Queue of sentences (arrays of words) waiting to burst
         this.prompts = []
-        this.currentPromptIndex = 0
-        this.generatedText = ''
-        this.sentenceBuffer = [] // Words accumulating into current sentence
-        this.generationQueue = 0
+        this.scheduler = new PromptScheduler([], schedulerOptionsFromConfig(config), createRandom(textSeed('prompts')))
+        this.currentPrompt = null // Prompt whose continuation is streaming
+        this.promptFileText = null // Last fetched prompt file, to spot edits
+        this.promptReloadTimer = null
+        this.onPromptStatus = null // (message, isError) for prompt reload results
+        this.context = new ContextManager(contextOptionsFromConfig(config), createRandom(textSeed('context')))
+        this.degeneration = new DegenerationDetector(degenerationOptionsFromConfig(config))
+        this.recovery = null // One-shot generation overrides after degeneration
+        this.avoidPrompt = null // Prompt to pass over once after it degenerated
+        this.segmenter = new SentenceSegmenter(segmenterOptionsFromConfig(config)) // { word, origin } accumulating into the current sentence
+        this.clock = () => Date.now() // ms; the sketch swaps in its simulation clock so timeouts replay
+        this.annotator = new WordAnnotator()
+        this.transcript = new Transcript()
+        this.transcriptWords = [] // { text, origin } as streamed, for the sentence in the segmenter
+        // A sentence the filter emptied still ends its transcript words;
+        // kept sentences hand theirs over in queueSentence
+        this.segmenter.onFlush = (sentence) => {
+            if (!sentence) this.transcriptWords = []
+        }
+        this.wordFilter = new WordFilter(filterOptionsFromConfig(config))
+        this.moderator = new Moderator(moderationOptionsFromConfig(config))
+        this.visitorWords = new VisitorWords(this.moderator, visitorOptionsFromConfig(config))
+        this.generation = new GenerationController(signal => this.generateOnce(signal), {
+            backlog: () => this.getBacklogWords(),
+            options: generationOptionsFromConfig(config),
+            onError: (error, consecutiveErrors) => {
+                if (consecutiveErrors >= config.sourceFailureLimit && this.onSourceFailure) {
+                    this.generation.resetBackoff()
+                    this.onSourceFailure()
+                }
+            }
+        })
+        this.onSourceFailure = null // Set by init() to trigger a tier downgrade
+        this.onText = null // Observer for every piece of text headed to the canvas
         this.statusEl = document.getElementById('status')
     }
 
     async loadPrompts() {
         try {
-            const response = await fetch('prompts.txt')
-            const textContent = await response.text()
-            this.prompts = textContent.split('\n').filter(line => line.trim())
-            console.log(`Loaded ${this.prompts.length} prompts`)
+            const { prompts } = this.applyPromptFile(await this.fetchPromptFile())
+            console.log(`Loaded ${prompts.length} prompts`)
             return true
         } catch (error) {
             console.error('Failed to load prompts:', error)
@@ -493,515 +423,1069 @@ class StreamManager {
         }
     }
 
-    getNextPrompt() {
-        const rawPrompt = this.prompts[this.currentPromptIndex]
-        this.currentPromptIndex = (this.currentPromptIndex + 1) % this.prompts.length
+    async fetchPromptFile() {
+        const response = await fetch(config.promptsUrl, { cache: 'no-store' })
+        if (!response.ok) throw new Error(`${config.promptsUrl} responded ${response.status}`)
+        return response.text()
+    }
 
-        const parts = rawPrompt.split('|')
-        const full = parts.length > 1
-            ? parts[0].trim() + ' ' + parts[1].trim()
-            : rawPrompt
-        const display = parts.length > 1 ? parts[1].trim() : rawPrompt
+    // Parse and swap in one step; throws (keeping the current list) when the
+    // file has no valid prompt. The generation in flight keeps its prompt.
+    applyPromptFile(text) {
+        const { prompts, errors } = parsePrompts(text)
+        for (const { at, message } of errors) {
+            console.warn(`⚠️  Skipping prompt at ${at}: ${message}`)
+        }
+        if (prompts.length === 0) throw new Error(`No valid prompts in ${config.promptsUrl}`)
+
+        const before = new Set(this.prompts.map(promptKey))
+        const after = new Set(prompts.map(promptKey))
+        const added = [...after].filter(key => !before.has(key)).length
+        const removed = [...before].filter(key => !after.has(key)).length
+
+        this.prompts = prompts
+        this.promptText = promptCorpus(prompts)
+        this.scheduler.setPrompts(prompts)
+        this.promptFileText = text
+        return { prompts, errors, added, removed }
+    }
 
-        return { full, display }
+    // Poll the prompt file and swap in edits without touching the model
+    startPromptReload(interval = config.promptReloadInterval) {
+        clearInterval(this.promptReloadTimer)
+        if (interval > 0) this.promptReloadTimer = setInterval(() => this.reloadPrompts(), interval)
     }
 
-    addToQueue(text) {
-        const newWords = text.split(/\s+/).filter(w => w.trim())
+    async reloadPrompts() {
+        let text
+        try {
+            text = await this.fetchPromptFile()
+        } catch (error) {
+            console.warn('Prompt reload failed:', error)
+            return // Network blip - keep the current list quietly
+        }
+        if (text === this.promptFileText) return
 
-        for (const word of newWords) {
-            // Filter out short words (3 characters or less, excluding punctuation)
-            const cleanWord = word.replace(/[.,!?;:]/g, '')
-            if (cleanWord.length <= 3) {
-                console.log(`⏭️  Skipping short word: "${word}"`)
-                continue
+        try {
+            const { prompts, errors, added, removed } = this.applyPromptFile(text)
+            console.log(`🔄 Reloaded ${prompts.length} prompts (+${added} -${removed})`)
+            if (errors.length > 0) {
+                const [first] = errors
+                this.onPromptStatus?.(`Prompts reloaded, ${errors.length} rejected (${first.at}: ${first.message})`, true)
+            } else {
+                this.onPromptStatus?.(`Prompts reloaded: ${prompts.length} (+${added} -${removed})`, false)
             }
+        } catch (error) {
+            // Remember the broken text so it is reported once, not every poll
+            this.promptFileText = text
+            console.error('Prompt reload rejected:', error)
+            this.onPromptStatus?.(`Prompt file rejected: ${error.message}`, true)
+        }
+    }
 
-            this.sentenceBuffer.push(word)
+    setSource(source) {
+        this.source = source
+        console.log(`🔌 Text source: ${source.name}`)
+    }
 
-            // Check if sentence ends (period, exclamation, question mark)
-            if (word.endsWith('.') || word.endsWith('!') || word.endsWith('?')) {
-                // Complete sentence - move to burst queue
-                if (this.sentenceBuffer.length > 0) {
-                    burstQueue.push([...this.sentenceBuffer])
-                    console.log(`📦 Sentence complete: ${this.sentenceBuffer.length} words queued for burst`)
-                    this.sentenceBuffer = []
-                }
-            }
+    getNextPrompt() {
+        // Schedule and moderation both get a say; if nothing qualifies the
+        // scheduler falls back to the next prompt, its output still moderated
+        const now = new Date()
+        this.scheduler.configure(schedulerOptionsFromConfig(config))
+        const avoid = this.avoidPrompt
+        this.avoidPrompt = null
+        this.currentPrompt = this.scheduler.next(now, prompt => prompt !== avoid && this.moderator.reviewPrompt(prompt.full, now))
+        return this.currentPrompt
+    }
+
+    // Pick up live config changes for the word pipeline. Called per prompt and
+    // on tuning panel edits, not per chunk: moderation recompiles its patterns
+    configureText() {
+        this.wordFilter.configure(filterOptionsFromConfig(config))
+        this.moderator.configure(moderationOptionsFromConfig(config))
+        this.segmenter.configure(segmenterOptionsFromConfig(config))
+    }
+
+    // `origin` is 'prompt' for the displayed prompt prefix, 'visitor' for a
+    // visitor's word, 'model' for generated text
+    addToQueue(text, origin = 'model') {
+        this.onText?.(text)
+        this.recorder?.record('text', { text, origin })
+        const newWords = text.split(/\s+/).filter(w => w.trim())
+
+        for (const rawWord of newWords) {
+            // The model echoing a visitor's word is credited to the visitor
+            const wordOrigin = origin === 'model' && this.visitorWords.credit(rawWord) ? 'visitor' : origin
+            this.transcriptWords.push({ text: rawWord, origin: wordOrigin })
+            let { word, normalized, skippedBy } = this.wordFilter.apply(rawWord)
+            // Visitor words were screened when offered and are promised a burst;
+            // only the blocklist still holds them back
+            if (!word && origin === 'visitor' && skippedBy !== 'blocklist') word = normalized
+            if (!word) console.log(`⏭️  Skipping word (${skippedBy}): "${rawWord}"`)
+
+            // Skipped words still close their sentence
+            const sentence = this.segmenter.push(word && { word, origin: wordOrigin }, normalized, this.clock())
+            if (sentence) this.queueSentence(sentence)
         }
 
-        console.log(`📥 Added ${newWords.length} words (${burstQueue.length} sentences in burst queue)`)
+        console.log(`📥 Added ${newWords.length} words (${this.burstQueue.length} sentences in burst queue)`)
+    }
+
+    // Complete sentence - moderate, annotate, then move to burst queue
+    queueSentence(entries) {
+        const words = entries.map(entry => entry.word)
+        // Unfiltered words go to the transcript, masked the same way
+        const transcriptWords = this.transcriptWords
+        this.transcriptWords = []
+
+        const sentence = this.moderator.reviewSentence(words)
+        if (!sentence) return
+
+        const masked = this.moderator.maskWords(transcriptWords.map(word => word.text))
+        this.transcript.add(transcriptWords.map((word, i) => ({ text: masked[i], origin: word.origin })))
+
+        // Tagged on the unmasked words; masks keep the word count
+        sentence.meta = this.annotator.annotateSentence(words, entries.map(entry => entry.origin))
+        // The ocean plays it with the prompt's preferred choreography, if any
+        if (this.currentPrompt?.burst) sentence.burst = this.currentPrompt.burst
+        this.burstQueue.push(sentence)
+        console.log(`📦 Sentence complete: ${sentence.length} words queued for burst`)
+    }
+
+    // Drop every sentence not yet on the canvas (replay seeks)
+    clearQueue() {
+        this.burstQueue = []
+        this.segmenter.reset()
+        this.transcriptWords = []
     }
 
     getQueueSize() {
-        return burstQueue.length
+        return this.burstQueue.length
+    }
+
+    // Queue the unfinished sentence as it is, so what comes next starts a new one
+    finishSentence() {
+        const sentence = this.segmenter.flush()
+        if (sentence) this.queueSentence(sentence)
+    }
+
+    // Words not yet on the canvas - what backpressure is measured in
+    getBacklogWords() {
+        return this.burstQueue.reduce((total, sentence) => total + sentence.length, this.segmenter.size)
     }
 
     hasSentenceReady() {
-        return burstQueue.length > 0
+        // A stalled, unfinished sentence is let through once the queue runs dry
+        if (this.burstQueue.length === 0) {
+            const stale = this.segmenter.poll(this.clock())
+            if (stale) this.queueSentence(stale)
+        }
+        return this.burstQueue.length > 0
     }
 
     getNextSentence() {
-        return burstQueue.shift()
+        return this.burstQueue.shift()
     }
 
-    async generate() {
-        // Check if sentence buffer is full
-        if (burstQueue.length > MAX_SENTENCE_BUFFER) {
-            console.log(`⏸️  Buffer full - ${burstQueue.length} sentences buffered`)
-            setTimeout(() => this.generate(), 2000)
-            return
+    // Apply the configured responses; returns true when the stream should stop
+    handleDegeneration(trip, prompt) {
+        console.warn(`🔁 Degenerate output (${trip.check} ${trip.value.toFixed(2)}): "${trip.sample}"`)
+        const actions = config.degenerationActions
+        this.recovery = {}
+
+        for (const action of actions) {
+            if (action === 'temperature') this.recovery.temperatureBoost = config.degenerationTemperatureBoost
+            else if (action === 'penalty') this.recovery.repetitionPenalty = config.degenerationPenalty
+            else if (action === 'nextPrompt') this.avoidPrompt = prompt
+            else if (action === 'clearContext') this.context.clear()
+            else if (action !== 'abort') {
+                console.warn(`Unknown degeneration action "${action}"`)
+                continue
+            }
+            this.degeneration.recordAction(action)
         }
+        return actions.includes('abort')
+    }
 
-        if (this.prompts.length === 0) return
-
-        this.generationQueue++
+    // One prompt and its stream; GenerationController decides when to call it
+    // and aborts `signal` to cut the stream short
+    async generateOnce(signal) {
+        if (this.prompts.length === 0 || !this.source) throw new Error('No prompts or text source yet')
+        this.generation.configure(generationOptionsFromConfig(config))
+        this.configureText()
+
+        const nextPrompt = this.getNextPrompt()
+        this.recorder?.record('prompt', { display: nextPrompt.display })
+        this.context.configure(contextOptionsFromConfig(config))
+
+        // A visitor's word either joins the context for the model to pick up,
+        // or ends the prompt so it is continued straight away
+        const visitorWord = config.visitorWords !== 'off' ? this.visitorWords.take() : null
+        if (visitorWord && config.visitorWords === 'context') {
+            this.context.append(` ${visitorWord}.`)
+            // Also a sentence of its own, so it bursts whatever the model makes of it
+            this.finishSentence()
+            this.addToQueue(` ${visitorWord}.`, 'visitor')
+        }
+        const promptWord = visitorWord && config.visitorWords === 'prompt' ? visitorWord : null
+        const contextPrompt = this.context.build(promptWord ? `${nextPrompt.full} ${promptWord}` : nextPrompt.full)
+
+        // Add display text immediately
+        const displayText = " " + nextPrompt.display
+        this.context.append(displayText)
+        this.addToQueue(displayText, 'prompt')
+        if (promptWord) {
+            this.context.append(` ${promptWord}`)
+            this.addToQueue(` ${promptWord}`, 'visitor')
+        }
 
-        try {
-            const truncatedContext = this.generatedText.length > MAX_CONTEXT_LENGTH
-                ? this.generatedText.slice(-MAX_CONTEXT_LENGTH)
-                : this.generatedText
-
-            const nextPrompt = this.getNextPrompt()
-            const contextPrompt = truncatedContext
-                ? truncatedContext.slice(-300) + " " + nextPrompt.full
-                : nextPrompt.full
-
-            // Add display text immediately
-            const displayText = " " + nextPrompt.display
-            this.generatedText += displayText
-            this.addToQueue(displayText)
-
-            const chunks = await engine.chat.completions.create({
-                messages: [{ role: 'user', content: contextPrompt }],
-                stream: true,
-                max_tokens: 150
-            })
+        const recovery = this.recovery ?? {}
+        this.recovery = null
+        const chunks = this.source.stream(contextPrompt, {
+            maxTokens: nextPrompt.maxTokens ?? config.maxTokens,
+            temperature: Math.min(2, (nextPrompt.temperature ?? config.temperature) + (recovery.temperatureBoost ?? 0)),
+            repetitionPenalty: recovery.repetitionPenalty,
+            signal
+        })
+        this.degeneration.configure(degenerationOptionsFromConfig(config))
 
-            let buffer = ''
+        let buffer = ''
 
-            for await (const chunk of chunks) {
-                const content = chunk.choices[0]?.delta?.content || ''
-                if (content) {
-                    buffer += content
-                    this.generatedText += content
+        for await (const content of chunks) {
+            if (signal.aborted) break // Sources that can't cancel still stop here
+            buffer += content
+            this.context.append(content)
 
-                    if (/\s/.test(buffer)) {
-                        const wordParts = buffer.split(/(\s+)/)
+            const trip = config.degenerationDetection && this.degeneration.push(content)
+            if (trip && this.handleDegeneration(trip, nextPrompt)) break
 
-                        for (let i = 0; i < wordParts.length - 1; i++) {
-                            const wordPart = wordParts[i]
-                            if (wordPart && wordPart.trim()) {
-                                this.addToQueue(wordPart)
-                            }
-                        }
+            if (/\s/.test(buffer)) {
+                const wordParts = buffer.split(/(\s+)/)
 
-                        buffer = wordParts[wordParts.length - 1] || ''
+                for (let i = 0; i < wordParts.length - 1; i++) {
+                    const wordPart = wordParts[i]
+                    if (wordPart && wordPart.trim()) {
+                        this.addToQueue(wordPart)
                     }
                 }
 
-                if (chunk.choices[0]?.finish_reason && buffer.trim()) {
-                    this.addToQueue(buffer)
-                }
-            }
-
-            // Truncate context to prevent memory issues
-            if (this.generatedText.length > MAX_CONTEXT_LENGTH) {
-                this.generatedText = this.generatedText.slice(-MAX_CONTEXT_LENGTH)
-            }
-
-            this.generationQueue--
-
-            // Continue generating (with preemptive buffering)
-            if (burstQueue.length < MAX_SENTENCE_BUFFER) {
-                setTimeout(() => this.generate(), 100) // Generate quickly when buffer low
-            } else {
-                setTimeout(() => this.generate(), 2000) // Slow down when buffer full
+                buffer = wordParts[wordParts.length - 1] || ''
             }
+        }
 
-        } catch (error) {
-            console.error('Generation error:', error)
-            this.generationQueue--
-            setTimeout(() => this.generate(), 5000)
+        // Flush the trailing word once the stream finishes
+        if (buffer.trim()) {
+            this.addToQueue(buffer)
         }
     }
 }
 
+// Seed for a text-side generator: derived from config.seed so seeded runs stay
+// repeatable, but separate from the simulation's draws
+function textSeed(name) {
+    return config.seed && `${config.seed}/${name}`
+}
+
 // ============================================================================
 // MAIN SKETCH - p5.js ocean visualization
 // ============================================================================
 
+const SNAPSHOT_KEY = 's'
+const FIELDS_KEY = 'f' // Show force fields and drag them around
+
 const sketch = (p) => {
-    let letters = []
-    let activeWords = []
-    const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ'
     const streamManager = new StreamManager()
-
-    // Character index for O(1) lookup by letter character
-    const lettersByChar = new Map()
-
-    // Center position (can be moved by clicking/dragging)
-    let centerX = 0
-    let centerY = 0
-    let draggingCenter = false
-
-    // Quadtree caching - rebuild every N frames instead of every frame
-    const QUADTREE_REBUILD_INTERVAL = 5
-    let quadtree = null
-    let framesSinceQuadtreeRebuild = 0
+    streamManager.clock = () => simTime // Sentence timeouts follow the simulation, not the wall clock
+    const recorder = new SessionRecorder()
+    streamManager.recorder = recorder
+    recorder.clock = () => simTime // Stamped on the clock the player replays on
+    let ocean = null
+    let player = null // SessionPlayer while replaying a recording
+    let exporter = null // FrameExporter while an export runs
+    const speller = new ClusterSpeller(clusterOptionsFromConfig(config))
+    let typed = '' // Visitor's word in progress on the keyboard
+    let hotkeyNext = false // Escape on an empty word: the next key is a hotkey, not a letter
+
+    // Simulation clock in ms (wall clock, or fixed steps when exporting or
+    // config.fixedTimestep)
+    let simTime = 0
 
     // Interaction state
-    let draggedLetter = null
-    let prevMousePos = null // For calculating throw velocity
+    let pointers = null // PointerTracker
+    let idle = null // IdleController: attract mode when nobody is around
 
     p.setup = () => {
         p.createCanvas(p.windowWidth, p.windowHeight)
 
-        // Initialize center to screen center
-        centerX = p.width / 2
-        centerY = p.height / 2
+        ocean = new Ocean({ width: p.width, height: p.height, sentences: streamManager })
+        ocean.populate()
+        streamManager.onText = (text) => ocean.pool.observe(text)
+        ocean.onBurst = (burst) => recorder.recordBurst(burst)
+        ocean.onWordFormed = (word) => streamManager.transcript.highlight(word)
+        if (config.recordSession && !config.replayUrl) recorder.start()
+        pointers = setupPointers()
+        idle = new IdleController(ocean, simTime)
+        idle.onCenter = (x, y) => recorder.recordCenter(x, y)
+        window.oceanStream.ocean = ocean
+        window.oceanStream.pointers = pointers
+        window.oceanStream.idle = idle
+        window.oceanStream.fields = ocean.fields
+    }
 
-        // Initialize character index
-        for (const char of alphabet) {
-            lettersByChar.set(char, [])
+    p.draw = () => {
+        // Fixed timestep advances a simulated clock so runs don't depend on frame rate
+        const stepMs = exporter ? 1000 / exporter.fps : config.fixedTimestep ? config.timestep : 0
+        simTime = stepMs ? simTime + stepMs : p.millis()
+        player?.update(simTime)
+        // A replay drives the center and bursts itself
+        if (!player) idle.update(simTime)
+        ocean.step(simTime)
+
+        if (config.visitorWords !== 'off' && config.visitorClusters) {
+            speller.configure(clusterOptionsFromConfig(config))
+            const spelled = speller.poll(p.millis())
+            if (spelled) offerWord(spelled, 'cluster')
         }
 
-        // Initialize ocean with letters (doubled for richer letter pool)
-        for (let i = 0; i < LETTER_COUNT; i++) {
-            const char = alphabet[Math.floor(Math.random() * alphabet.length)]
-            const x = p.random(p.width)
-            const y = p.random(p.height)
-            const letter = new Letter(char, x, y, p)
-            letters.push(letter)
-            lettersByChar.get(char).push(letter)
-        }
+        render()
+        // Editing overlay stays out of snapshots and exports
+        if (config.showFields && !exporter) drawFields()
+        pointers.editFields = config.showFields
 
-        console.log('Ocean initialized with', letters.length, 'letters')
+        p.pop() // End zoom transform
     }
 
-    p.draw = () => {
+    function render() {
         p.background(255)
-        // Rotate global word spawn direction
-        currentWordDirection += WORD_ROTATION_SPEED
+        for (const letter of ocean.letters) {
+            drawLetter(letter)
+        }
+    }
 
-        // Update word formations
-        for (let i = activeWords.length - 1; i >= 0; i--) {
-            const word = activeWords[i]
-            word.update()
+    function drawLetter(letter) {
+        // Letters in a word wear its style (see wordStyle in simulation.js)
+        const style = letter.recruited ? letter.word?.style : null
+        p.push()
+        p.translate(letter.pos.x, letter.pos.y)
+        p.rotate(letter.angle)
+        p.fill(0, letter.alpha * (style?.opacity ?? 1))
+        p.textSize(letter.size * (style?.size ?? 1))
+        p.textStyle(style?.bold ? p.BOLD : p.NORMAL)
+        p.textAlign(p.CENTER, p.CENTER)
+        // Font is set once per frame in draw() before push/pop
+        p.text(letter.char, 0, 0)
+        // Underline credits a visitor's word
+        if (style?.credited) {
+            const halfWidth = p.textWidth(letter.char) / 2
+            const y = letter.size * (style.size ?? 1) * 0.6
+            p.stroke(0, letter.alpha)
+            p.line(-halfWidth, y, halfWidth, y)
+        }
+        p.pop()
+    }
 
-            if (word.shouldDissolve()) {
-                word.dissolve()
+    // Each field's reach and name; handles are what pointers grab
+    function drawFields() {
+        p.push()
+        p.textSize(12)
+        p.textStyle(p.NORMAL)
+        p.textAlign(p.LEFT, p.CENTER)
+        for (const field of ocean.fields.fields) {
+            const at = ocean.fields.resolved.get(field)
+            if (!at) continue
+            p.noFill()
+            p.stroke(0, 60)
+            if (field.type === 'wall') {
+                p.strokeWeight(Math.max(1, at.radius * 2))
+                p.line(at.x, at.y, at.x2, at.y2)
+                p.strokeWeight(1)
+            } else if (at.radius > 0) {
+                p.circle(at.x, at.y, at.radius * 2)
             }
+            p.stroke(0, 160)
+            p.circle(at.x, at.y, 12)
+            p.noStroke()
+            p.fill(0, 160)
+            p.text(field.name, at.x + 10, at.y)
+        }
+        p.pop()
+    }
 
-            if (word.launched) {
-                activeWords.splice(i, 1)
-            }
+    function offerWord(text, source) {
+        streamManager.visitorWords.configure(visitorOptionsFromConfig(config))
+        return streamManager.visitorWords.submit(text, source)
+    }
+
+    // Letters, Backspace and Enter build a visitor's word; returns true when
+    // the key was taken. Escape on an empty word lets the next key through as a hotkey.
+    function typeVisitorKey() {
+        if (config.visitorWords === 'off' || !config.visitorKeyboard) return false
+        if (hotkeyNext) {
+            hotkeyNext = false
+            return false
+        }
+        if (p.key === 'Escape' && !typed) {
+            hotkeyNext = true
+            return true
+        }
+        if (p.key === 'Enter' && typed) {
+            offerWord(typed, 'keyboard')
+            typed = ''
+        } else if (p.key === 'Backspace' || p.key === 'Escape') {
+            typed = p.key === 'Escape' ? '' : typed.slice(0, -1)
+        } else if (/^\p{L}$/u.test(p.key) && typed.length < config.visitorMaxLength) {
+            typed += p.key
+        } else {
+            return false
         }
+        window.oceanStream.onVisitorTyping?.(typed)
+        return true
+    }
+
+    p.windowResized = () => {
+        if (exporter) return // Exports keep their fixed resolution
+        p.resizeCanvas(p.windowWidth, p.windowHeight)
+        ocean.resize(p.width, p.height)
+    }
+
+    // Still of the current frame at snapshotScale pixel density
+    function snapshot() {
+        if (exporter) return // Would change the export's resolution mid-run
+        const density = p.pixelDensity()
+        p.pixelDensity(config.snapshotScale)
+        render()
+        // toBlob copies the bitmap right away, so the density can go back at once
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-')
+        canvasBlob(p.canvas).then(blob => downloadBlob(blob, `word-bag-${stamp}.png`))
+        p.pixelDensity(density)
+        console.log(`📸 Snapshot at ${p.width * config.snapshotScale}×${p.height * config.snapshotScale}`)
+    }
+
+    // Render frame by frame at the export resolution until the exporter is done.
+    // Call from a click: the PNG folder picker needs a user gesture.
+    async function startExport() {
+        if (exporter) return
+        const status = (message) => window.oceanStream.onExportStatus?.(message)
+        const next = new FrameExporter(p.canvas, {
+            ...exportOptionsFromConfig(config),
+            onProgress: (frame, frames) => status(`Exporting frame ${frame}${frames ? `/${frames}` : ''}`)
+        })
+
+        const density = p.pixelDensity()
+        p.noLoop()
+        p.pixelDensity(1)
+        p.resizeCanvas(config.exportWidth, config.exportHeight)
+        ocean.resize(p.width, p.height)
 
-        // Build quadtree for spatial partitioning (only every N frames)
-        framesSinceQuadtreeRebuild++
-        if (quadtree === null || framesSinceQuadtreeRebuild >= QUADTREE_REBUILD_INTERVAL) {
-            const boundary = new Rectangle(p.width / 2, p.height / 2, p.width / 2, p.height / 2)
-            quadtree = new Quadtree(boundary)
-            for (const letter of letters) {
-                quadtree.insert(letter)
+        try {
+            await next.start()
+            exporter = next
+            while (exporter.active) {
+                await p.redraw()
+                await exporter.capture()
             }
-            framesSinceQuadtreeRebuild = 0
+        } catch (error) {
+            console.error('Export failed:', error)
+            await next.stop()
+        } finally {
+            exporter = null
+            status('')
+            p.pixelDensity(density)
+            p.resizeCanvas(p.windowWidth, p.windowHeight)
+            ocean.resize(p.width, p.height)
+            p.loop()
         }
+    }
 
-        // Apply forces to letters
-        for (const letter of letters) {
-            letter.applyNeighborForces(quadtree)
+    function stopExport() {
+        exporter?.stop()
+    }
 
-            // Only apply gravity if not disabled
-            if (!gravityDisabled) {
-                letter.gravitate(centerX, centerY)
-            }
+    // Pointer Events instead of p5's mouse callbacks: every finger, pen or
+    // mouse gets its own drag state (see pointers.js)
+    function setupPointers() {
+        const pointers = new PointerTracker(ocean)
+        let pinchStart = null
 
-            // Use direct word reference instead of Map lookup
-            letter.swim(letter.word?.currentOrientation ?? null)
+        pointers.onThrow = (letter) => {
+            recorder.recordThrow(letter)
+            if (config.visitorWords !== 'off' && config.visitorClusters) speller.drop(letter, p.millis())
+            console.log(`🎾 Threw letter with velocity: ${letter.vel.mag().toFixed(2)}`)
         }
-
-        // Update and display letters
-        for (const letter of letters) {
-            letter.update()
-            letter.display()
+        pointers.onCenter = (x, y) => {
+            idle.moveCenter(x, y, simTime)
+            recorder.recordCenter(x, y)
+        }
+        pointers.onFieldMoved = (field) => {
+            console.log(`🧲 Moved ${field.name} to (${field.x.toFixed(2)}, ${field.y.toFixed(2)})`)
+        }
+        pointers.onCenterEnd = () => {
+            console.log(`🎯 Center set to (${ocean.centerX.toFixed(0)}, ${ocean.centerY.toFixed(0)})`)
+        }
+        // Pinching scales gravity or letter size from where the pinch began
+        pointers.onPinchStart = () => {
+            const key = config.pinchControls === 'size' ? 'letterSize' : 'gravityStrength'
+            if (config.pinchControls !== 'off') idle.visitorChange(key)
+            pinchStart = config[key]
+        }
+        pointers.onPinch = (scale) => {
+            if (config.pinchControls === 'off') return
+            const key = config.pinchControls === 'size' ? 'letterSize' : 'gravityStrength'
+            const { min, max } = CONFIG_SCHEMA[key]
+            const value = Math.min(max, Math.max(min, pinchStart * scale))
+            if (key === 'letterSize') ocean.setLetterSize(value)
+            else config[key] = value
         }
 
-        // Handle burst emission with timing
-        const currentTime = p.millis()
+        const canvas = p.canvas
+        canvas.style.touchAction = 'none' // No browser panning or zooming on the table
+        canvas.addEventListener('pointerdown', (event) => {
+            idle.activity(simTime)
+            canvas.setPointerCapture(event.pointerId)
+            pointers.down(event.pointerId, event.offsetX, event.offsetY, event.timeStamp)
+        })
+        canvas.addEventListener('pointermove', (event) => {
+            if (pointers.size > 0) idle.activity(simTime)
+            pointers.move(event.pointerId, event.offsetX, event.offsetY, event.timeStamp)
+        })
+        canvas.addEventListener('pointerup', (event) => {
+            pointers.up(event.pointerId, event.offsetX, event.offsetY, event.timeStamp)
+        })
+        canvas.addEventListener('pointercancel', (event) => pointers.cancel(event.pointerId))
+        return pointers
+    }
 
-        // Start new burst if cooldown expired and bursts available
-        if (currentBurst.length === 0 && currentTime >= burstCooldownUntil && streamManager.hasSentenceReady()) {
-            const sentence = streamManager.getNextSentence()
+    p.keyPressed = () => {
+        idle.activity(simTime)
+        // A visitor typing a word takes letter keys before hotkeys (Escape first to reach them)
+        if (typeVisitorKey()) return
+        if (p.key === SNAPSHOT_KEY) snapshot()
+        if (p.key === FIELDS_KEY) config.showFields = !config.showFields
 
-            // Cap at 10 words
-            let words = sentence.slice(0, 10)
+        // Disable gravity while holding spacebar
+        if (p.key === ' ') {
+            ocean.gravityDisabled = true
+            console.log('🚀 Gravity disabled')
+        }
+    }
 
-            // Select emission mode based on probability
-            const modeRoll = Math.random()
-            let mode = 'organic' // default
+    p.keyReleased = () => {
+        // Re-enable gravity when spacebar is released
+        if (p.key === ' ') {
+            ocean.gravityDisabled = false
+            console.log('🌍 Gravity enabled')
+        }
+    }
 
-            // 10% chance for symmetrical 4-word mode (only if 4+ words available)
-            if (modeRoll < 0.1 && words.length >= 4) {
-                mode = 'symmetrical'
-                words = words.slice(0, 4) // Use exactly 4 words
-            }
-            // 5% chance for zero-gravity organic mode (0.1 to 0.15)
-            else if (modeRoll < 0.15) {
-                mode = 'zerogravity'
-                gravityDisabled = true
-            }
-            // 35% chance for directional mode (0.15 to 0.5)
-            else if (modeRoll < 0.5) {
-                mode = 'directional'
-            }
-            // 50% chance for organic mode (0.5 to 1.0)
-            else {
-                mode = 'organic'
-            }
+    // Public API
+    window.oceanStream = {
+        streamManager,
+        context: streamManager.context, // .inspect() shows the window and memory
+        degeneration: streamManager.degeneration, // .stats() counts loop detections
+        generation: streamManager.generation, // start/pause/resume/stop, .stats()
+        recorder, // start/stop, .toJSON()
+        // Replace the live run with a recording; returns the SessionPlayer
+        // (play/pause, seek(ms), setSpeed(x), .stats())
+        replay: (recording) => {
+            validateRecording(recording) // Refuse a broken file before stopping anything
+            streamManager.generation.stop()
+            recorder.stop()
+            player?.pause()
+            player = new SessionPlayer(recording, {
+                manager: streamManager,
+                ocean,
+                onEnd: () => window.oceanStream.onReplayEnd?.()
+            })
+            player.setSpeed(config.replaySpeed)
+            player.seek(0)
+            player.play()
+            window.oceanStream.player = player
+            return player
+        },
+        snapshot,
+        startExport,
+        stopExport,
+        exporting: () => exporter !== null,
+        visitorWords: streamManager.visitorWords, // submit(word), .stats()
+        formWord: (...args) => ocean.formWord(...args),
+        config,
+        registerChoreography
+    }
+}
 
-            const startAngle = currentWordDirection
-
-            if (mode === 'symmetrical') {
-                // Perfect 4-way symmetry (90 degrees apart, no randomness)
-                console.log('🎯 Symmetrical 4-word mode')
-                currentBurst = words.map((word, i) => ({
-                    word: word,
-                    direction: startAngle + (i * Math.PI / 2) // Exactly 90 degrees
-                }))
-            } else if (mode === 'zerogravity') {
-                // Organic scatter with gravity disabled
-                const baseAngleSpacing = (Math.PI * 2) / words.length
-                const randomVariation = 2.0
-                console.log('🚀 Zero-gravity organic mode')
-                currentBurst = words.map((word, i) => {
-                    const randomOffset = (Math.random() - 0.5) * baseAngleSpacing * randomVariation
-                    const direction = startAngle + (i * baseAngleSpacing) + randomOffset
-                    return { word: word, direction: direction }
-                })
-            } else if (mode === 'directional') {
-                // All words in approximately same direction (30 degree cone)
-                const baseDirection = startAngle
-                const coneAngle = Math.PI / 6 // 30 degrees total
-                console.log('🎪 Directional mode')
-                currentBurst = words.map((word) => ({
-                    word: word,
-                    direction: baseDirection + (Math.random() - 0.5) * coneAngle
-                }))
-            } else {
-                // Organic scatter mode (original behavior)
-                const baseAngleSpacing = (Math.PI * 2) / words.length
-                const randomVariation = 2.0
-                console.log('🌊 Organic scatter mode')
-                currentBurst = words.map((word, i) => {
-                    const randomOffset = (Math.random() - 0.5) * baseAngleSpacing * randomVariation
-                    const direction = startAngle + (i * baseAngleSpacing) + randomOffset
-                    return { word: word, direction: direction }
-                })
-            }
+// ============================================================================
+// TUNING PANEL - Hidden overlay for live config edits (toggle with `)
+// ============================================================================
 
-            // Emit first word immediately
-            const firstWord = currentBurst.shift()
-            formWord(firstWord.word, firstWord.direction)
-            console.log(`🎆 Burst started: ${words.length} words, first: "${firstWord.word}"`)
+const TUNING_PANEL_KEY = '`'
+const TUNING_PANEL_GROUPS = {
+    'Ocean physics': [
+        'gravityEnabled', 'repulsionRadius', 'repulsionStrength', 'attractionMin',
+        'attractionMax', 'attractionStrength', 'gravityStrength', 'spinNoise', 'maxLetterSpeed'
+    ],
+    'Bursts': [
+        'burstWordDelay', 'burstCooldown', 'burstWeightOrganic', 'burstWeightSymmetrical',
+        'burstWeightZerogravity', 'burstWeightDirectional', 'burstWeightSpiral',
+        'burstWeightRing', 'burstWeightCascade', 'burstWeightMirror'
+    ],
+    'Word style': ['wordStyling', 'wordStyleStrength'],
+    'Force fields': ['showFields', 'burstWeightWells'],
+    'Attract mode': ['idleTimeout', 'idleDrift', 'idleDriftSize', 'idleShowcaseInterval', 'idleHandover'],
+    'Export': ['exportFormat', 'exportWidth', 'exportHeight', 'exportFps', 'exportSeconds', 'snapshotScale'],
+    'Letter pool': ['letterCount', 'poolFrequencySource', 'poolMinPerChar', 'poolRebalanceInterval'],
+    'Word filter': [
+        'filterNormalize', 'filterMinLength', 'filterStopWords', 'filterBlocklist',
+        'filterBlocklistPolicy', 'filterDedupe'
+    ],
+    'Moderation': ['moderation'],
+    'Prompts': ['promptOrder'],
+    'Generation': ['maxTokens', 'temperature', 'contextTokens', 'memoryMode', 'memoryRecallChance', 'degenerationDetection']
+}
+const MODERATION_LOG_KEY = 'word-bag-moderation-log' // localStorage, survives kiosk reloads
+const MODERATION_LOG_STORED = 500
+const TUNING_STATS_INTERVAL = 1000 // ms between stats refreshes while the panel is open
+
+class TuningPanel {
+    constructor(groups = TUNING_PANEL_GROUPS, { stats = null, actions = [] } = {}) {
+        this.groups = groups
+        this.stats = stats // Optional () => string shown under the controls
+        this.extraActions = actions // Extra [{ label, run }] buttons next to export/import
+        this.controls = new Map() // config key -> { input, readout }
+        this.onChange = null // (keys) after a control or preset import writes config
+        this.el = this.build()
+        this.el.hidden = true // Keep the e-ink look clean until asked for
+        document.body.appendChild(this.el)
+
+        window.addEventListener('keydown', (event) => {
+            if (event.key === TUNING_PANEL_KEY) this.toggle()
+        })
+        setInterval(() => {
+            if (!this.el.hidden) this.refreshStats()
+        }, TUNING_STATS_INTERVAL)
+    }
 
-            // Schedule next word in burst
-            if (currentBurst.length > 0) {
-                nextBurstEmissionTime = currentTime + BURST_WORD_DELAY
-            } else {
-                // Single word burst, start cooldown immediately
-                burstCooldownUntil = currentTime + BURST_COOLDOWN
-                console.log(`⏸️  Cooldown started (30s)`)
-            }
-        }
+    build() {
+        const panel = document.createElement('aside')
+        panel.id = 'tuning-panel'
 
-        // Emit next word from current burst
-        if (currentBurst.length > 0 && currentTime >= nextBurstEmissionTime) {
-            const wordData = currentBurst.shift()
-            formWord(wordData.word, wordData.direction)
-            console.log(`📤 Burst word: "${wordData.word}"`)
+        for (const [title, keys] of Object.entries(this.groups)) {
+            const fieldset = document.createElement('fieldset')
+            const legend = document.createElement('legend')
+            legend.textContent = title
+            fieldset.appendChild(legend)
 
-            // Schedule next emission or start cooldown
-            if (currentBurst.length > 0) {
-                nextBurstEmissionTime = currentTime + BURST_WORD_DELAY
-            } else {
-                // Burst complete, start cooldown and re-enable gravity
-                burstCooldownUntil = currentTime + BURST_COOLDOWN
-                gravityDisabled = false // Re-enable gravity
-                console.log(`⏸️  Burst complete - cooldown started (30s)`)
+            for (const key of keys) {
+                fieldset.appendChild(this.buildControl(key))
             }
+            panel.appendChild(fieldset)
         }
 
-        p.pop() // End zoom transform
-    }
+        const actions = document.createElement('div')
+        actions.className = 'tuning-actions'
 
-    p.windowResized = () => {
-        p.resizeCanvas(p.windowWidth, p.windowHeight)
+        const exportButton = document.createElement('button')
+        exportButton.textContent = 'Export preset'
+        exportButton.addEventListener('click', () => this.exportPreset())
+
+        const importInput = document.createElement('input')
+        importInput.type = 'file'
+        importInput.accept = 'application/json,.json'
+        importInput.hidden = true
+        importInput.addEventListener('change', () => {
+            if (importInput.files[0]) this.importPreset(importInput.files[0])
+            importInput.value = ''
+        })
+
+        const importButton = document.createElement('button')
+        importButton.textContent = 'Import preset'
+        importButton.addEventListener('click', () => importInput.click())
+
+        actions.append(exportButton, importButton, importInput)
+        for (const { label, run } of this.extraActions) {
+            const button = document.createElement('button')
+            button.textContent = label
+            button.addEventListener('click', run)
+            actions.appendChild(button)
+        }
+        panel.appendChild(actions)
+
+        this.statsEl = document.createElement('pre')
+        this.statsEl.className = 'tuning-stats'
+        panel.appendChild(this.statsEl)
+        return panel
     }
 
-    p.mousePressed = () => {
-        // Check if clicking on a letter
-        for (const letter of letters) {
-            const d = p5.Vector.dist(letter.pos, p.createVector(p.mouseX, p.mouseY))
-            if (d < letter.radius * 2) {
-                draggedLetter = letter
-                letter.vel.mult(0) // Stop movement while dragging
-                letter.recruited = false // Release from any word formation
-                letter.dragging = true // Mark as being dragged
-                prevMousePos = p.createVector(p.mouseX, p.mouseY)
-                return
+    buildControl(key) {
+        const spec = CONFIG_SCHEMA[key]
+        const row = document.createElement('label')
+        const name = document.createElement('span')
+        name.textContent = key
+        const readout = document.createElement('output')
+        const input = document.createElement('input')
+
+        if (typeof spec.default === 'boolean') {
+            input.type = 'checkbox'
+            input.addEventListener('change', () => {
+                config[key] = input.checked
+                this.onChange?.([key])
+            })
+        } else if (spec.options) {
+            const select = document.createElement('select')
+            for (const option of spec.options) {
+                select.appendChild(new Option(option, option))
             }
+            select.addEventListener('change', () => {
+                config[key] = validateConfigValue(key, select.value)
+                this.onChange?.([key])
+            })
+            row.append(name, select, readout)
+            this.controls.set(key, { input: select, readout })
+            return row
+        } else {
+            input.type = 'range'
+            input.min = spec.min
+            input.max = spec.max
+            input.step = spec.integer ? 1 : (spec.max - spec.min) / 1000
+            input.addEventListener('input', () => {
+                config[key] = validateConfigValue(key, input.value)
+                readout.textContent = formatConfigValue(config[key])
+                this.onChange?.([key])
+            })
         }
 
-        // If not on a letter, start dragging center
-        draggingCenter = true
-        centerX = p.mouseX
-        centerY = p.mouseY
-        console.log(`🎯 Dragging center`)
+        row.append(name, input, readout)
+        this.controls.set(key, { input, readout })
+        return row
     }
 
-    p.mouseDragged = () => {
-        if (draggedLetter) {
-            // Update position
-            draggedLetter.pos.set(p.mouseX, p.mouseY)
-
-            // Calculate velocity for throwing
-            const currentMousePos = p.createVector(p.mouseX, p.mouseY)
-            if (prevMousePos) {
-                const velocity = p5.Vector.sub(currentMousePos, prevMousePos)
-                draggedLetter.vel = velocity.copy()
+    // Sync controls with config (after import or external changes)
+    refresh() {
+        for (const [key, { input, readout }] of this.controls) {
+            if (input.type === 'checkbox') {
+                input.checked = config[key]
+            } else if (input.tagName === 'SELECT') {
+                input.value = config[key]
+            } else {
+                input.value = config[key]
+                readout.textContent = formatConfigValue(config[key])
             }
-            prevMousePos = currentMousePos.copy()
-        } else if (draggingCenter) {
-            // Update center position while dragging
-            centerX = p.mouseX
-            centerY = p.mouseY
         }
+        this.refreshStats()
     }
 
-    p.mouseReleased = () => {
-        if (draggedLetter) {
-            draggedLetter.dragging = false // No longer being dragged
-            console.log(`🎾 Threw letter with velocity: ${draggedLetter.vel.mag().toFixed(2)}`)
-            draggedLetter = null
-        } else if (draggingCenter) {
-            // Stop dragging center, but keep it at current position
-            draggingCenter = false
-            console.log(`🎯 Center set to (${centerX.toFixed(0)}, ${centerY.toFixed(0)})`)
-        }
-        prevMousePos = null
+    refreshStats() {
+        if (this.stats) this.statsEl.textContent = this.stats()
     }
 
-    p.keyPressed = () => {
-        // Disable gravity while holding spacebar
-        if (p.key === ' ') {
-            gravityDisabled = true
-            console.log('🚀 Gravity disabled')
+    toggle() {
+        this.el.hidden = !this.el.hidden
+        if (!this.el.hidden) this.refresh()
+    }
+
+    // Presets use the same shape as config.json, so an export can be deployed as one
+    exportPreset() {
+        const preset = {}
+        for (const key of this.controls.keys()) {
+            preset[key] = config[key]
         }
+
+        downloadJson(preset, 'word-bag-preset.json')
+        console.log('💾 Exported preset')
     }
 
-    p.keyReleased = () => {
-        // Re-enable gravity when spacebar is released
-        if (p.key === ' ') {
-            gravityDisabled = false
-            console.log('🌍 Gravity enabled')
+    async importPreset(file) {
+        try {
+            const values = JSON.parse(await file.text())
+            applyConfig(values, file.name)
+            this.refresh()
+            this.onChange?.(Object.keys(values))
+            console.log(`📂 Imported preset ${file.name}`)
+        } catch (error) {
+            console.error('Failed to import preset:', error)
         }
     }
+}
+
+// Recordings pass space 0: they're long and nobody reads them by hand
+function downloadJson(data, filename, space = 2) {
+    downloadBlob(new Blob([JSON.stringify(data, null, space)], { type: 'application/json' }), filename)
+}
 
+function formatPoolStats(stats) {
+    const worst = Object.entries(stats.droppedByChar)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 5)
+        .map(([char, count]) => `${char}×${count}`)
+        .join(' ')
+    return [
+        `letters: ${stats.letters}`,
+        `dropped chars/word: ${stats.recentDroppedPerWord.toFixed(2)} (last 100), ${stats.droppedPerWord.toFixed(2)} overall`,
+        worst ? `most dropped: ${worst}` : 'most dropped: none'
+    ].join('\n')
+}
 
-    // Form a word by recruiting letters
-    function formWord(word, direction = null) {
-        word = word.toUpperCase()
-        const formation = new WordFormation(word, p, centerX, centerY)
+function formatConfigValue(value) {
+    return Number.isInteger(value) ? String(value) : Number(value.toPrecision(3)).toString()
+}
 
-        // Override direction if provided (for burst spacing)
-        if (direction !== null) {
-            formation.direction = direction
-            formation.currentOrientation = direction
+// Persist moderation decisions so staff can review them after a reload
+function setupModerationLog(moderator) {
+    const stored = () => {
+        try {
+            return JSON.parse(localStorage.getItem(MODERATION_LOG_KEY)) ?? []
+        } catch (error) {
+            return []
         }
+    }
 
-        const formX = formation.pos.x
-        const formY = formation.pos.y
+    moderator.onDecision = (entry) => {
+        const entries = [...stored(), entry].slice(-MODERATION_LOG_STORED)
+        try {
+            localStorage.setItem(MODERATION_LOG_KEY, JSON.stringify(entries))
+        } catch (error) {
+            console.warn('Could not persist moderation log:', error)
+        }
+    }
 
-        for (let i = 0; i < word.length; i++) {
-            const char = word[i]
+    return {
+        entries: stored,
+        download: () => downloadJson(stored(), 'word-bag-moderation-log.json'),
+        clear: () => localStorage.removeItem(MODERATION_LOG_KEY)
+    }
+}
 
-            // Use character index for O(1) lookup instead of filtering all letters
-            const charLetters = lettersByChar.get(char)
-            if (!charLetters) {
-                console.warn(`No available letter "${char}"`)
-                continue
-            }
+// Transcript beside the canvas (config.transcript) and for any transcript
+// window; returns tuning panel actions
+function setupTranscript(transcript) {
+    if (config.transcript === 'panel') {
+        const el = document.createElement('aside')
+        el.id = 'transcript-panel'
+        document.body.appendChild(el)
+        const view = new TranscriptView(el, transcript, { refresh: config.transcriptRefresh })
+        transcript.onEntry = () => view.schedule()
+        transcript.onCursor = () => view.schedule()
+    }
+    shareTranscript(transcript)
+
+    return [
+        {
+            label: 'Transcript log',
+            run: () => downloadBlob(new Blob([transcript.toLog()], { type: 'text/plain' }), 'word-bag-transcript.txt')
+        },
+        { label: 'Open transcript window', run: () => window.open('?view=transcript', 'word-bag-transcript') }
+    ]
+}
 
-            // Find closest unrequited letter using squared distance (no vector allocations)
-            let closestLetter = null
-            let closestDistSq = Infinity
-
-            for (const letter of charLetters) {
-                if (letter.recruited) continue
-                const dx = letter.pos.x - formX
-                const dy = letter.pos.y - formY
-                const distSq = dx * dx + dy * dy
-                if (distSq < closestDistSq) {
-                    closestDistSq = distSq
-                    closestLetter = letter
-                }
-            }
+// The whole page as a transcript of the window running the piece; no canvas or model
+function showTranscriptPage() {
+    document.body.classList.add('transcript-page')
+    const el = document.createElement('article')
+    el.id = 'transcript'
+    document.body.appendChild(el)
 
-            if (closestLetter === null) {
-                console.warn(`No available letter "${char}"`)
-                continue
-            }
+    const transcript = new Transcript()
+    const view = new TranscriptView(el, transcript, { refresh: config.transcriptRefresh })
+    followTranscript(transcript, () => view.schedule())
+}
 
-            closestLetter.recruited = true
-            closestLetter.wordId = formation.id
-            closestLetter.word = formation  // Store reference for direct orientation lookup
-            closestLetter.targetIndex = i
-            formation.letters.push(closestLetter)
+// Session recording and replay controls for the tuning panel
+function sessionActions(recorder, replay) {
+    const picker = document.createElement('input')
+    picker.type = 'file'
+    picker.accept = 'application/json,.json'
+    picker.addEventListener('change', async () => {
+        const file = picker.files[0]
+        picker.value = ''
+        if (!file) return
+        try {
+            replay(JSON.parse(await file.text()))
+            console.log(`▶️  Replaying ${file.name}`)
+        } catch (error) {
+            console.error('Failed to load recording:', error)
+            document.getElementById('status').textContent = `Error loading recording: ${error.message}`
         }
+    })
 
-        formation.updateTargetPositions()
-        activeWords.push(formation)
+    const seekBy = (ms) => {
+        const player = window.oceanStream.player
+        if (player) player.seek(player.playhead + ms)
     }
 
-    // Public API
-    window.oceanStream = { streamManager, formWord }
+    return [
+        { label: 'Start/stop recording', run: () => recorder.recording ? recorder.stop() : recorder.start() },
+        { label: 'Export recording', run: () => downloadJson(recorder.toJSON(), 'word-bag-session.json', 0) },
+        { label: 'Load recording', run: () => picker.click() },
+        { label: 'Replay −30s', run: () => seekBy(-30000) },
+        { label: 'Replay +30s', run: () => seekBy(30000) }
+    ]
+}
+
+// Force field controls for the tuning panel. New fields start at the gravity
+// center; drag them from there with showFields on.
+function fieldActions() {
+    const add = (type) => {
+        const { fields, centerX, centerY, width, height } = window.oceanStream.ocean
+        const x = centerX / width
+        const y = centerY / height
+        // Walls run sideways from their handle
+        const field = fields.add(type === 'wall' ? { type, x, y, x2: x + 0.2, y2: y } : { type, x, y })
+        config.showFields = true
+        console.log(`🧲 Added ${field.name}`)
+    }
+
+    return [
+        ...FIELD_TYPES.map(type => ({ label: `Add ${type}`, run: () => add(type) })),
+        { label: 'Clear fields', run: () => window.oceanStream.ocean.fields.clear() },
+        // Same shape as config.json, so the layout can be deployed or imported as a preset
+        { label: 'Export fields', run: () => downloadJson({ forceFields: config.forceFields }, 'word-bag-fields.json') }
+    ]
 }
 
 // ============================================================================
 // INITIALIZATION
 // ============================================================================
 
-new p5(sketch, 'canvas-container')
-
 async function init() {
+    // Config must be resolved before the sketch sizes its letter pool
+    await loadConfig()
+    if (config.view === 'transcript') {
+        showTranscriptPage()
+        return
+    }
+    seedRandom(config.seed)
+    new p5(sketch, 'canvas-container')
     const manager = window.oceanStream.streamManager
+    const moderation = setupModerationLog(manager.moderator)
+    window.oceanStream.moderation = moderation
+    window.oceanStream.transcript = manager.transcript
+    const transcriptActions = setupTranscript(manager.transcript)
+
+    window.oceanStream.tuningPanel = new TuningPanel(TUNING_PANEL_GROUPS, {
+        stats: () => formatPoolStats(window.oceanStream.ocean.pool.stats()),
+        actions: [
+            { label: 'Moderation log', run: () => moderation.download() },
+            ...transcriptActions,
+            {
+                label: 'Pause/resume generation',
+                run: () => manager.generation.state === 'paused' ? manager.generation.resume() : manager.generation.pause()
+            },
+            ...sessionActions(window.oceanStream.recorder, window.oceanStream.replay),
+            {
+                label: 'Start/stop export',
+                run: () => window.oceanStream.exporting() ? window.oceanStream.stopExport() : window.oceanStream.startExport()
+            },
+            { label: 'Snapshot', run: () => window.oceanStream.snapshot() },
+            ...fieldActions()
+        ]
+    })
+    window.oceanStream.tuningPanel.onChange = (keys) => {
+        manager.configureText()
+        // Operator settings outlast attract mode's restore
+        window.oceanStream.idle.keep(keys)
+    }
+
     const statusEl = document.getElementById('status')
+    const tierEl = document.getElementById('tier')
+
+    window.oceanStream.onReplayEnd = () => {
+        statusEl.textContent = 'Replay finished'
+    }
+    window.oceanStream.onExportStatus = (message) => {
+        statusEl.textContent = message
+    }
+
+    // What a visitor types, then whether their word was taken
+    const visitorEl = document.getElementById('visitor')
+    let visitorTimer = null
+    window.oceanStream.onVisitorTyping = (typed) => {
+        clearTimeout(visitorTimer)
+        visitorEl.textContent = typed
+    }
+    manager.visitorWords.onSubmit = ({ word, accepted, reason }) => {
+        clearTimeout(visitorTimer)
+        visitorEl.textContent = accepted ? `“${word}” will join the stream` : `“${word}” not taken (${reason})`
+        visitorTimer = setTimeout(() => { visitorEl.textContent = '' }, 4000)
+    }
+
+    // A recording needs no prompts or model at all
+    if (config.replayUrl) {
+        tierEl.textContent = '▶ replay'
+        try {
+            const response = await fetch(config.replayUrl)
+            if (!response.ok) throw new Error(`${config.replayUrl} responded ${response.status}`)
+            window.oceanStream.replay(await response.json())
+        } catch (error) {
+            console.error('Failed to load recording:', error)
+            statusEl.textContent = `Error loading recording: ${error.message}`
+        }
+        return
+    }
 
     const loaded = await manager.loadPrompts()
     if (!loaded) return
 
-    try {
-        statusEl.textContent = 'Loading AI model...'
+    // Reload problems stay on screen until the file is fixed; success fades
+    let promptStatusTimer = null
+    manager.onPromptStatus = (message, isError) => {
+        clearTimeout(promptStatusTimer)
+        statusEl.textContent = message
+        if (!isError) promptStatusTimer = setTimeout(() => { statusEl.textContent = '' }, 3000)
+    }
 
-        engine = await CreateMLCEngine(MODEL_ID, {
-            initProgressCallback: (progress) => {
-                const percent = Math.round(progress.progress * 100)
-                statusEl.textContent = `Loading model: ${percent}%`
-                console.log('Model loading:', progress)
-            }
+    // Tier label plus the generation state whenever it isn't plain running
+    let tierLabel = ''
+    let generationState = ''
+    const renderTier = () => {
+        tierEl.textContent = generationState ? `${tierLabel} · ${generationState}` : tierLabel
+    }
+    manager.generation.onStatus = ({ state, retryIn }) => {
+        generationState = state === 'running' ? ''
+            : state === 'backoff' ? `retry in ${Math.ceil(retryIn / 1000)}s`
+            : state
+        renderTier()
+    }
+
+    const tiers = buildSourceTiers(config, () => manager.promptText)
+    const fallback = new SourceFallback(tiers, {
+        onStatus: (message) => { statusEl.textContent = message },
+        onChange: (source, tier, index) => {
+            manager.setSource(source)
+            // The old source is about to unload - don't let its stream count as a failure
+            manager.generation.interrupt('source changed')
+            manager.generation.resetBackoff()
+            // Filled dot for the best tier, hollow for the offline last resort
+            const marker = index === 0 ? '●' : index === tiers.length - 1 ? '○' : '◐'
+            tierLabel = `${marker} ${tier.label}`
+            tierEl.title = `Text source tier ${index + 1} of ${tiers.length}`
+            renderTier()
+        }
+    })
+    manager.onSourceFailure = () => {
+        fallback.downgrade().catch(error => {
+            console.error('Source downgrade failed:', error)
+            statusEl.textContent = 'Error loading any text source.'
         })
+    }
+    window.oceanStream.sources = fallback
+
+    try {
+        await fallback.connect()
 
-        statusEl.textContent = 'Model ready!'
+        statusEl.textContent = fallback.activeIndex === 0
+            ? 'Model ready!'
+            : `Running on ${tiers[fallback.activeIndex].label} source`
         setTimeout(() => { statusEl.textContent = '' }, 2000)
 
-        manager.generate()
+        fallback.startUpgradeRetries()
+        manager.startPromptReload()
+        manager.generation.start()
 
     } catch (error) {
         console.error('Initialization error:', error)
-        statusEl.textContent = 'Error loading model. WebGPU required.'
+        statusEl.textContent = 'Error loading any text source.'
     }
 }
 
 init()
+
@@ -0,0 +1,126 @@
+// ============================================================================
+// CAPTURE - Frame-exact exports of the canvas
+// ============================================================================
+//
+// FrameExporter writes one frame per capture() call:
+//   png  -> numbered PNGs into a folder picked by the user (File System Access
+//           API), or one download per frame where that's missing
+//   webm -> a WebM assembled by MediaRecorder from a captureStream(0) track,
+//           so only the frames handed over end up in the video. MediaRecorder
+//           stamps frames with the wall clock, so capture() paces them at fps
+// The sketch owns the clock: it renders a frame, awaits capture(), then
+// renders the next with the simulation advanced by exactly 1000 / fps ms.
+
+const WEBM_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+const WEBM_BITRATE = 16000000 // Bits per second; footage is mostly flat white
+
+export function canvasBlob(canvas, type = 'image/png') {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Canvas could not be encoded')), type)
+    })
+}
+
+export function downloadBlob(blob, filename) {
+    const link = document.createElement('a')
+    link.href = URL.createObjectURL(blob)
+    link.download = filename
+    link.click()
+    // Give the download a moment to start before the URL goes away
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000)
+}
+
+export class FrameExporter {
+    // `frames` 0 exports until stop()
+    constructor(canvas, { format = 'webm', fps = 30, frames = 0, name = 'word-bag', onProgress = null } = {}) {
+        this.canvas = canvas
+        this.format = format
+        this.fps = fps
+        this.frames = frames
+        this.name = name
+        this.onProgress = onProgress // (frame, frames)
+
+        this.frame = 0
+        this.active = false
+        this.directory = null // FileSystemDirectoryHandle for png
+        this.recorder = null // MediaRecorder for webm
+        this.track = null
+        this.chunks = []
+        this.lastFrameAt = 0
+    }
+
+    // Must run from a user gesture: the folder picker needs one
+    async start() {
+        if (this.format === 'png') {
+            this.directory = window.showDirectoryPicker
+                ? await window.showDirectoryPicker({ mode: 'readwrite' })
+                : null
+            if (!this.directory) console.warn('🎞️  No folder access in this browser; each frame downloads separately')
+        } else {
+            const mimeType = WEBM_TYPES.find(type => MediaRecorder.isTypeSupported(type))
+            if (!mimeType) throw new Error('This browser cannot record WebM')
+
+            const stream = this.canvas.captureStream(0)
+            this.track = stream.getVideoTracks()[0]
+            this.recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: WEBM_BITRATE })
+            this.chunks = []
+            this.recorder.ondataavailable = (event) => {
+                if (event.data.size > 0) this.chunks.push(event.data)
+            }
+            this.recorder.start()
+        }
+
+        this.frame = 0
+        this.active = true
+        console.log(`🎞️  Exporting ${this.format} at ${this.canvas.width}×${this.canvas.height}, ${this.fps} fps`)
+    }
+
+    // Call once per rendered frame; resolves when it's safe to draw the next
+    async capture() {
+        if (!this.active) return
+        this.frame++
+
+        if (this.format === 'png') {
+            const blob = await canvasBlob(this.canvas)
+            const filename = `${this.name}-${String(this.frame).padStart(6, '0')}.png`
+            if (this.directory) {
+                const file = await this.directory.getFileHandle(filename, { create: true })
+                const writable = await file.createWritable()
+                await writable.write(blob)
+                await writable.close()
+            } else {
+                downloadBlob(blob, filename)
+            }
+        } else {
+            const wait = this.lastFrameAt + 1000 / this.fps - performance.now()
+            if (wait > 0) await new Promise(resolve => setTimeout(resolve, wait))
+            this.lastFrameAt = performance.now()
+            this.track.requestFrame()
+        }
+
+        this.onProgress?.(this.frame, this.frames)
+        if (this.frames > 0 && this.frame >= this.frames) await this.stop()
+    }
+
+    async stop() {
+        if (!this.active) return
+        this.active = false
+
+        if (this.recorder) {
+            const stopped = new Promise(resolve => { this.recorder.onstop = resolve })
+            this.recorder.stop()
+            await stopped
+            this.track.stop()
+            downloadBlob(new Blob(this.chunks, { type: this.recorder.mimeType }), `${this.name}.webm`)
+            this.chunks = []
+        }
+        console.log(`🎞️  Export finished: ${this.frame} frames`)
+    }
+}
+
+export function exportOptionsFromConfig(config) {
+    return {
+        format: config.exportFormat,
+        fps: config.exportFps,
+        frames: Math.round(config.exportSeconds * config.exportFps)
+    }
+}
@@ -0,0 +1,269 @@
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+//
+// Layered runtime config: built-in defaults, then config.json (next to
+// prompts.txt), then URL query parameters (?gravityStrength=0.08). Every value
+// is validated and clamped against its schema entry. The resolved `config`
+// object is read live, so tweaking it takes effect on the next frame.
+//
+// Nothing here touches the DOM until loadConfig() runs, so the simulation can
+// import this module under Node with plain defaults.
+
+import { isFieldSpec } from './fields.js'
+
+export const CONFIG_SCHEMA = {
+    // Text source - see README for the fallback chain
+    source: { default: 'webllm', options: ['webllm', 'http', 'corpus'] },
+    modelId: { default: 'SmolLM2-360M-Instruct-q4f16_1-MLC', param: 'model' },
+    endpoint: { default: '' }, // OpenAI-compatible base URL; empty disables the http tier
+    httpModel: { default: 'smollm2:360m' },
+    corpusUrl: { default: 'prompts.txt', param: 'corpus' },
+    corpusMode: { default: 'markov', options: ['markov', 'replay'] },
+    upgradeRetryInterval: { default: 5 * 60 * 1000, min: 10000, max: 24 * 60 * 60 * 1000, integer: true }, // ms
+    sourceFailureLimit: { default: 3, min: 1, max: 100, integer: true }, // Consecutive errors before dropping a tier
+
+    // LLM generation
+    contextTokens: { default: 96, min: 8, max: 2048, integer: true }, // Sliding window of recent sentences (~4 chars/token)
+    memoryMode: { default: 'off', options: ['off', 'words', 'sentences'] }, // Recall motifs from the whole run
+    memoryTokens: { default: 32, min: 4, max: 512, integer: true }, // Budget for a recalled memory
+    memorySize: { default: 64, min: 1, max: 1000, integer: true }, // Sentences sampled from the run
+    memoryRecallChance: { default: 0.3, min: 0, max: 1 }, // Share of prompts that get a memory
+    generationHighWatermark: { default: 400, min: 10, max: 10000, integer: true }, // Words waiting before generation holds off
+    generationLowWatermark: { default: 150, min: 0, max: 10000, integer: true }, // Words waiting before it resumes
+    generationBackoffBase: { default: 1000, min: 100, max: 60000, integer: true }, // ms after the first failed stream, doubling
+    generationBackoffMax: { default: 60000, min: 1000, max: 10 * 60 * 1000, integer: true }, // ms
+    maxTokens: { default: 150, min: 1, max: 2048, integer: true },
+    temperature: { default: 0.7, min: 0, max: 2 },
+
+    // Degeneration detection (see degeneration.js)
+    degenerationDetection: { default: true },
+    degenerationRepetition: { default: 0.5, min: 0.05, max: 1 }, // Share of repeated word trigrams
+    degenerationEntropy: { default: 3, min: 0, max: 8 }, // Bits per character; below trips
+    degenerationPunctuation: { default: 0.3, min: 0.05, max: 1 }, // Share of punctuation characters
+    degenerationActions: { default: ['abort', 'temperature', 'penalty', 'clearContext'], list: true }, // abort, temperature, penalty, nextPrompt, clearContext
+    degenerationTemperatureBoost: { default: 0.3, min: 0, max: 1 }, // Added to the next call's temperature
+    degenerationPenalty: { default: 1.3, min: 1, max: 2 }, // Repetition penalty for the next call
+
+    // Prompts (see prompts.js)
+    promptsUrl: { default: 'prompts.txt', param: 'prompts' }, // Line format or JSON
+    promptOrder: { default: 'sequential', options: ['sequential', 'weighted', 'shuffle'] },
+    promptTags: { default: [], list: true }, // Only use prompts with one of these tags; empty = all
+    promptReloadInterval: { default: 10000, min: 0, max: 60 * 60 * 1000, integer: true }, // ms between checks for edits; 0 disables
+
+    // Session replay (see session.js)
+    replayUrl: { default: '', param: 'replay' }, // Recording to play instead of generating; empty = live
+    replaySpeed: { default: 1, min: 0.1, max: 16 },
+    recordSession: { default: false }, // Start recording as soon as the page loads
+
+    // Canvas export (see capture.js)
+    exportFormat: { default: 'webm', options: ['webm', 'png'] }, // WebM video or a PNG sequence
+    exportWidth: { default: 1920, min: 320, max: 7680, integer: true },
+    exportHeight: { default: 1080, min: 240, max: 4320, integer: true },
+    exportFps: { default: 30, min: 1, max: 120, integer: true },
+    exportSeconds: { default: 60, min: 0, max: 3600 }, // Length of the export; 0 runs until stopped
+    snapshotScale: { default: 4, min: 1, max: 8, integer: true }, // Pixel density of hotkey stills
+
+    // Transcript (see transcript.js)
+    transcript: { default: 'off', options: ['off', 'panel'] }, // Side panel with the full generated text
+    transcriptRefresh: { default: 1000, min: 0, max: 60000, integer: true }, // ms between redraws; raise for e-ink
+    view: { default: 'ocean', options: ['ocean', 'transcript'] }, // 'transcript' shows only another window's transcript
+
+    // Visitor words (see visitor.js)
+    visitorWords: { default: 'off', options: ['off', 'context', 'prompt'] }, // Where accepted words go
+    visitorKeyboard: { default: true }, // Type a word, Enter sends it
+    visitorClusters: { default: true }, // Drag letters next to each other to spell one
+    visitorClusterRadius: { default: 60, min: 10, max: 300 }, // px between neighbouring letters of a cluster
+    visitorClusterDelay: { default: 3000, min: 500, max: 30000, integer: true }, // ms after the last drop before it is read
+    visitorMinLength: { default: 4, min: 1, max: 20, integer: true }, // Never below filterMinLength, or the word filter would drop it
+    visitorMaxLength: { default: 16, min: 1, max: 40, integer: true },
+    visitorCooldown: { default: 5000, min: 0, max: 10 * 60 * 1000, integer: true }, // ms between accepted words
+    visitorMaxPerMinute: { default: 3, min: 1, max: 60, integer: true },
+
+    // Word filter pipeline (see filters.js)
+    filterNormalize: { default: true }, // Plain quotes, strip markdown artifacts
+    filterMinLength: { default: 4, min: 0, max: 20, integer: true }, // Letters/digits; 0 keeps everything
+    filterStopWords: { default: false },
+    filterBlocklist: { default: false },
+    filterBlocklistPolicy: { default: 'skip', options: ['skip', 'mask'] },
+    filterBlocklistExtra: { default: [], list: true }, // Additional blocked words
+    filterDedupe: { default: true }, // Drop immediate repeats
+
+    // Sentence segmentation (see segmenter.js)
+    segmenterMaxWords: { default: 30, min: 1, max: 200, integer: true }, // Flush a run-on sentence at this length
+    segmenterTimeout: { default: 8000, min: 0, max: 120000, integer: true }, // ms before an unfinished sentence is flushed; 0 disables
+    segmenterEllipsis: { default: 'end', options: ['end', 'continue'] }, // Whether "..." ends a sentence
+    segmenterAbbreviations: { default: [], list: true }, // Extra abbreviations that don't end sentences
+
+    // Moderation (see moderation.js) - list values take arrays in config.json, comma lists in the URL
+    moderation: { default: 'off', options: ['off', 'standard', 'strict'] },
+    moderationHours: { default: [], list: true }, // "HH:MM-HH:MM" windows when moderation applies; empty = always
+    moderationWords: { default: [], list: true }, // Extra blocked words
+    moderationPatterns: { default: [], list: true }, // Extra regex rules
+    moderationSkipPrompts: { default: [], list: true }, // Prompt fragments to pass over while active
+
+    // Ocean physics
+    repulsionRadius: { default: 20, min: 0, max: 200 },
+    repulsionStrength: { default: 10.0, min: 0, max: 100 },
+    attractionMin: { default: 50, min: 0, max: 500 },
+    attractionMax: { default: 150, min: 0, max: 500 },
+    attractionStrength: { default: 0.05, min: 0, max: 1 },
+    gravityEnabled: { default: true },
+    gravityStrength: { default: 0.05, min: 0, max: 1 },
+    collisionSpeedThreshold: { default: 0.2, min: 0, max: 10 },
+    collisionSpinFactor: { default: 1, min: 0, max: 10 },
+    spinNoise: { default: 0.003, min: 0, max: 0.1 },
+    maxLetterSpeed: { default: 3, min: 0.1, max: 20 }, // Target cruise speed for letters
+    speedDeceleration: { default: 0.3, min: 0, max: 1 }, // Deceleration rate when exceeding max speed
+    letterCount: { default: 500, min: 10, max: 5000, integer: true }, // Letter particles in the ocean
+    letterSize: { default: 24, min: 6, max: 96 },
+    forceFields: { default: [], json: true, items: isFieldSpec }, // Attractors, repellers, vortices, walls and flows (see fields.js)
+    showFields: { default: false }, // Draw fields and let pointers drag them (key f)
+    pinchControls: { default: 'gravity', options: ['off', 'gravity', 'size'] }, // What a two-finger pinch on empty space scales
+    glyphSets: { default: 'latin' }, // Comma list of latin, digits, punctuation, latin1, greek, cyrillic
+    preserveCase: { default: false }, // Keep lowercase letters as their own glyphs instead of uppercasing
+
+    // Letter pool
+    poolFrequencySource: { default: 'english', options: ['english', 'text'] }, // Target mix per character
+    poolMinPerChar: { default: 3, min: 0, max: 100, integer: true },
+    poolRebalanceInterval: { default: 1000, min: 50, max: 60000, integer: true }, // ms between spawn/retire swaps
+
+    // Word paths
+    wordRotationSpeed: { default: 0.001, min: 0, max: 0.1 }, // Global spawn direction drift per frame
+    pathMaxDistance: { default: 1000, min: 50, max: 5000 },
+    pathSpeed: { default: 0.0005, min: 0.00005, max: 0.01 },
+    pathCurveAmount: { default: 0.2, min: -Math.PI, max: Math.PI }, // Radians, same curve for all words
+    letterSpacing: { default: 15, min: 4, max: 100 },
+    wordStyling: { default: true }, // Vary size, weight, opacity and speed by word metadata (see annotator.js)
+    wordStyleStrength: { default: 1, min: 0, max: 2 },
+
+    // Quadtree
+    quadtreeCapacity: { default: 8, min: 1, max: 64, integer: true }, // Max items per node before subdivision
+    quadtreeRebuildInterval: { default: 5, min: 1, max: 60, integer: true }, // Frames between rebuilds
+
+    // Bursts
+    burstWordDelay: { default: 2000, min: 0, max: 60000, integer: true }, // ms between words in a burst
+    burstCooldown: { default: 30000, min: 0, max: 10 * 60 * 1000, integer: true }, // ms between bursts
+    maxBurstWords: { default: 10, min: 1, max: 50, integer: true },
+    burstWeightOrganic: { default: 50, min: 0, max: 100 },
+    burstWeightSymmetrical: { default: 10, min: 0, max: 100 },
+    burstWeightZerogravity: { default: 5, min: 0, max: 100 },
+    burstWeightDirectional: { default: 35, min: 0, max: 100 },
+    burstWeightSpiral: { default: 0, min: 0, max: 100 },
+    burstWeightRing: { default: 0, min: 0, max: 100 },
+    burstWeightCascade: { default: 0, min: 0, max: 100 },
+    burstWeightMirror: { default: 0, min: 0, max: 100 },
+    burstWeightWells: { default: 0, min: 0, max: 100 }, // Launch from the force field wells in turn
+
+    // Attract mode for unattended kiosks (see idle.js)
+    idleTimeout: { default: 120000, min: 0, max: 60 * 60 * 1000, integer: true }, // ms without interaction; 0 disables
+    idleDrift: { default: 'lissajous', options: ['home', 'lissajous'] }, // Center eases home or loops around it
+    idleDriftPeriod: { default: 180000, min: 10000, max: 60 * 60 * 1000, integer: true }, // ms per Lissajous loop
+    idleDriftSize: { default: 0.2, min: 0, max: 0.5 }, // Loop amplitude as a share of the canvas
+    idleShowcaseInterval: { default: 90000, min: 0, max: 60 * 60 * 1000, integer: true }, // ms between showcase bursts; 0 disables
+    idleShowcaseBursts: { default: ['spiral', 'ring', 'cascade', 'mirror'], list: true }, // Choreographies shown in turn
+    idleHandover: { default: 1500, min: 0, max: 10000, integer: true }, // ms the center takes to reach a returning visitor
+
+    // Determinism - same seed + same text stream replays identically
+    seed: { default: '' }, // Empty means unseeded Math.random
+    fixedTimestep: { default: false }, // Advance burst timing by `timestep` per frame instead of wall clock
+    timestep: { default: 1000 / 60, min: 1, max: 1000 } // ms per frame in fixed-timestep mode
+}
+
+export const config = defaultConfig()
+
+export function defaultConfig() {
+    const defaults = {}
+    for (const [key, spec] of Object.entries(CONFIG_SCHEMA)) {
+        defaults[key] = Array.isArray(spec.default) ? [...spec.default] : spec.default
+    }
+    return defaults
+}
+
+// Coerce a raw value (JSON or query string) into the schema's type and range
+export function validateConfigValue(key, raw) {
+    const spec = CONFIG_SCHEMA[key]
+
+    if (typeof spec.default === 'number') {
+        let value = Number(raw)
+        if (raw === '' || raw === null || !Number.isFinite(value)) {
+            console.warn(`⚙️  Ignoring ${key}=${raw}: not a number`)
+            return spec.default
+        }
+        if (spec.integer) value = Math.round(value)
+        const clamped = Math.min(spec.max, Math.max(spec.min, value))
+        if (clamped !== value) console.warn(`⚙️  Clamped ${key}=${value} to ${clamped}`)
+        return clamped
+    }
+
+    if (typeof spec.default === 'boolean') {
+        return raw === true || raw === 'true' || raw === '1' || raw === 1
+    }
+
+    // JSON values: arrays in config.json, JSON text in the URL
+    if (spec.json) {
+        try {
+            const value = typeof raw === 'string' ? JSON.parse(raw) : raw
+            // `items` screens the members, warning about each one it drops
+            if (Array.isArray(value)) return spec.items ? value.filter(spec.items) : value
+        } catch (error) {
+            // Reported below like any other bad value
+        }
+        console.warn(`⚙️  Ignoring ${key}: expected a JSON array`)
+        return [...spec.default]
+    }
+
+    if (spec.list) {
+        const items = Array.isArray(raw) ? raw : String(raw).split(',')
+        return items.map(item => String(item).trim()).filter(item => item)
+    }
+
+    const value = String(raw)
+    if (spec.options && !spec.options.includes(value)) {
+        console.warn(`⚙️  Ignoring ${key}=${value}: expected one of ${spec.options.join(', ')}`)
+        return spec.default
+    }
+    return value
+}
+
+export function applyConfig(values, origin) {
+    for (const [key, raw] of Object.entries(values)) {
+        if (!(key in CONFIG_SCHEMA)) {
+            console.warn(`⚙️  Unknown config key "${key}" in ${origin}`)
+            continue
+        }
+        config[key] = validateConfigValue(key, raw)
+    }
+}
+
+function readUrlConfig(search) {
+    const params = new URLSearchParams(search)
+    const values = {}
+    for (const [key, spec] of Object.entries(CONFIG_SCHEMA)) {
+        const name = params.has(key) ? key : spec.param
+        if (name && params.has(name)) values[key] = params.get(name)
+    }
+    return values
+}
+
+export async function loadConfig() {
+    try {
+        const response = await fetch('config.json')
+        if (response.ok) {
+            applyConfig(JSON.parse(await response.text()), 'config.json')
+            console.log('⚙️  Loaded config.json')
+        }
+    } catch (error) {
+        // config.json is optional - dev servers may answer with HTML instead
+        console.log('⚙️  No usable config.json, using defaults')
+    }
+
+    applyConfig(readUrlConfig(window.location.search), 'URL')
+
+    // Derived invariants the physics relies on
+    if (config.attractionMax < config.attractionMin) {
+        console.warn('⚙️  attractionMax below attractionMin, swapping')
+        ;[config.attractionMin, config.attractionMax] = [config.attractionMax, config.attractionMin]
+    }
+    return config
+}
@@ -0,0 +1,203 @@
+// ============================================================================
+// CONTEXT - What the model sees before each prompt
+// ============================================================================
+//
+// The generated stream is cut into sentences. The prompt context is:
+//   memory  -> (optional, some of the time) salient words or an old sentence
+//              sampled from the whole run, so motifs come back hours later
+//   window  -> the latest whole sentences that fit in contextTokens
+//   seed    -> the next prompt
+// Tokens are estimated at ~4 characters each, which is close enough for small
+// English models and needs no tokenizer. Every store is bounded, so the
+// piece can run for weeks.
+
+import { STOP_WORDS, wordCore } from './filters.js'
+
+const CHARS_PER_TOKEN = 4
+const SENTENCE_END = /[.!?]+["'”’)\]]*\s/
+const MAX_PENDING_TOKENS = 256 // Run-on text is cut at a space past this
+const SALIENT_MIN_LENGTH = 5 // Letters for a word to count as a motif
+const SALIENT_LIMIT = 2000 // Distinct words tracked before the weakest are pruned
+const RECALL_WORDS = 6
+
+export const DEFAULT_CONTEXT_OPTIONS = {
+    contextTokens: 96,
+    memoryMode: 'off',
+    memoryTokens: 32, // Budget for recalled memory
+    memorySize: 64, // Sentences kept in the reservoir sample
+    recallChance: 0.3 // Share of prompts that get a memory
+}
+
+export function estimateTokens(text) {
+    return Math.ceil(text.length / CHARS_PER_TOKEN)
+}
+
+// Last whole words of `text` that fit in `tokens`
+function tailWords(text, tokens) {
+    const tail = text.slice(-tokens * CHARS_PER_TOKEN)
+    const space = tail.indexOf(' ')
+    return tail.length < text.length && space >= 0 ? tail.slice(space + 1) : tail
+}
+
+export class ContextManager {
+    // `random` is the manager's own generator, never the simulation's (see random.js)
+    constructor(options = {}, random = Math.random) {
+        this.random = random
+        this.configure(options)
+        this.clear()
+        this.memory = [] // Reservoir sample of sentences from the whole run
+        this.salient = new Map() // word -> score
+        this.sentencesSeen = 0
+    }
+
+    configure(options) {
+        this.options = { ...DEFAULT_CONTEXT_OPTIONS, ...options }
+        this.memory?.splice(this.options.memorySize)
+    }
+
+    // Forget the recent window (memory survives - use forget() for that too)
+    clear() {
+        this.recent = [] // Latest sentences, oldest first
+        this.recentTokens = 0
+        this.pending = '' // Unfinished sentence
+    }
+
+    forget() {
+        this.clear()
+        this.memory = []
+        this.salient.clear()
+        this.sentencesSeen = 0
+    }
+
+    append(text) {
+        this.pending += text
+        let match
+        while ((match = SENTENCE_END.exec(this.pending))) {
+            const end = match.index + match[0].length
+            this.addSentence(this.pending.slice(0, end).trim())
+            this.pending = this.pending.slice(end)
+        }
+
+        // A model that never ends its sentence still gets cut into pieces
+        if (estimateTokens(this.pending) > MAX_PENDING_TOKENS) {
+            const cut = this.pending.lastIndexOf(' ')
+            if (cut > 0) {
+                this.addSentence(this.pending.slice(0, cut).trim())
+                this.pending = this.pending.slice(cut + 1)
+            }
+        }
+    }
+
+    addSentence(sentence) {
+        if (!sentence) return
+        this.recent.push(sentence)
+        this.recentTokens += estimateTokens(sentence) + 1
+        while (this.recent.length > 1 && this.recentTokens > this.options.contextTokens) {
+            this.recentTokens -= estimateTokens(this.recent.shift()) + 1
+        }
+
+        if (this.options.memoryMode === 'off') return
+        this.sentencesSeen++
+        this.sample(sentence)
+        this.countWords(sentence)
+    }
+
+    // Algorithm R: every sentence of the run has the same chance to be kept
+    sample(sentence) {
+        if (this.memory.length < this.options.memorySize) {
+            this.memory.push(sentence)
+            return
+        }
+        const slot = Math.floor(this.random() * this.sentencesSeen)
+        if (slot < this.options.memorySize) this.memory[slot] = sentence
+    }
+
+    countWords(sentence) {
+        for (const word of sentence.split(/\s+/)) {
+            const core = wordCore(word)
+            if (core.length < SALIENT_MIN_LENGTH || STOP_WORDS.has(core)) continue
+            this.salient.set(core, (this.salient.get(core) ?? 0) + 1)
+        }
+
+        // Prune the weaker half and age the rest, so new motifs can rise
+        if (this.salient.size > SALIENT_LIMIT) {
+            const ranked = [...this.salient].sort((a, b) => b[1] - a[1]).slice(0, SALIENT_LIMIT / 2)
+            this.salient = new Map(ranked.map(([word, score]) => [word, score / 2]))
+        }
+    }
+
+    // Latest whole sentences within budget, plus the unfinished one; only a
+    // single sentence too long for the budget is cut (at a word)
+    windowText() {
+        const budget = this.options.contextTokens
+        let text = this.pending.trim()
+        if (estimateTokens(text) > budget) return tailWords(text, budget)
+        for (let i = this.recent.length - 1; i >= 0; i--) {
+            const longer = text ? `${this.recent[i]} ${text}` : this.recent[i]
+            if (estimateTokens(longer) > budget) break
+            text = longer
+        }
+        if (text) return text
+
+        const last = this.recent[this.recent.length - 1] ?? ''
+        return estimateTokens(last) > budget ? tailWords(last, budget) : last
+    }
+
+    // Something from earlier in the run that is not in the window right now
+    recall() {
+        const { memoryMode, memoryTokens, recallChance } = this.options
+        if (memoryMode === 'off' || this.random() >= recallChance) return ''
+
+        const windowText = this.windowText().toLowerCase()
+        if (memoryMode === 'sentences') {
+            const older = this.memory.filter(sentence => !windowText.includes(sentence.toLowerCase()))
+            if (older.length === 0) return ''
+            const sentence = older[Math.floor(this.random() * older.length)]
+            return estimateTokens(sentence) > memoryTokens ? tailWords(sentence, memoryTokens) : sentence
+        }
+
+        const words = []
+        const candidates = [...this.salient].filter(([word]) => !windowText.includes(word))
+        while (words.length < RECALL_WORDS && candidates.length > 0) {
+            const total = candidates.reduce((sum, [, score]) => sum + score, 0)
+            let roll = this.random() * total
+            let i = candidates.findIndex(([, score]) => (roll -= score) < 0)
+            if (i < 0) i = candidates.length - 1
+            words.push(candidates.splice(i, 1)[0][0])
+            if (estimateTokens(words.join(' ')) > memoryTokens) {
+                words.pop()
+                break
+            }
+        }
+        return words.join(' ')
+    }
+
+    build(seed) {
+        return [this.recall(), this.windowText(), seed].filter(part => part).join(' ')
+    }
+
+    // Debug snapshot, e.g. window.oceanStream.context.inspect()
+    inspect() {
+        const topWords = [...this.salient].sort((a, b) => b[1] - a[1]).slice(0, 20)
+        return {
+            options: { ...this.options },
+            window: this.windowText(),
+            windowTokens: estimateTokens(this.windowText()),
+            recentSentences: this.recent.length,
+            pending: this.pending,
+            sentencesSeen: this.sentencesSeen,
+            memory: [...this.memory],
+            topWords: Object.fromEntries(topWords)
+        }
+    }
+}
+
+export function contextOptionsFromConfig(config) {
+    return {
+        contextTokens: config.contextTokens,
+        memoryMode: config.memoryMode,
+        memoryTokens: config.memoryTokens,
+        memorySize: config.memorySize,
+        recallChance: config.memoryRecallChance
+    }
+}
@@ -0,0 +1,129 @@
+// ============================================================================
+// DEGENERATION - Notice when the model starts looping or babbling
+// ============================================================================
+//
+// Streamed chunks go into a rolling window of recent text, and three checks
+// run over it:
+//   repetition  -> share of word trigrams already seen in the window
+//   entropy     -> Shannon entropy of the characters, in bits (English ~4)
+//   punctuation -> share of punctuation characters, or one mark repeated
+// A check trips when it crosses its threshold. StreamManager decides what to
+// do about it (abort, raise temperature, ...); this module only measures and
+// counts.
+
+import { wordCore } from './filters.js'
+
+const WINDOW_WORDS = 60
+const MIN_WORDS = 24 // Judge nothing before this much text
+const NGRAM = 3
+const PUNCTUATION_RUN = /([^\p{L}\p{N}\s])\1{5,}/u // Same mark six times in a row
+
+export const DEFAULT_DEGENERATION_OPTIONS = {
+    repetition: 0.5, // Share of repeated trigrams
+    entropy: 3, // Bits per character; below trips
+    punctuation: 0.3 // Share of punctuation characters
+}
+
+export function repetitionScore(words) {
+    const cores = words.map(wordCore).filter(core => core)
+    if (cores.length <= NGRAM) return 0
+
+    const seen = new Set()
+    let repeated = 0
+    for (let i = 0; i <= cores.length - NGRAM; i++) {
+        const gram = cores.slice(i, i + NGRAM).join(' ')
+        if (seen.has(gram)) repeated++
+        seen.add(gram)
+    }
+    return repeated / (cores.length - NGRAM + 1)
+}
+
+export function characterEntropy(text) {
+    const counts = new Map()
+    for (const char of text.toLowerCase()) counts.set(char, (counts.get(char) ?? 0) + 1)
+
+    const total = text.length
+    let entropy = 0
+    for (const count of counts.values()) {
+        const p = count / total
+        entropy -= p * Math.log2(p)
+    }
+    return entropy
+}
+
+export function punctuationScore(text) {
+    if (PUNCTUATION_RUN.test(text)) return 1
+    const visible = text.replace(/\s/g, '')
+    if (!visible) return 0
+    return visible.replace(/[\p{L}\p{N}]/gu, '').length / visible.length
+}
+
+export class DegenerationDetector {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_DEGENERATION_OPTIONS, ...options }
+        this.words = [] // Rolling window
+        this.partial = '' // Word still streaming in
+        this.counts = { checks: 0, repetition: 0, entropy: 0, punctuation: 0 }
+        this.actions = {} // action -> times taken
+        this.lastTrip = null
+    }
+
+    configure(options) {
+        this.options = { ...DEFAULT_DEGENERATION_OPTIONS, ...options }
+    }
+
+    reset() {
+        this.words = []
+        this.partial = ''
+    }
+
+    // Feed a streamed chunk; returns { check, value, threshold } when it trips
+    push(chunk) {
+        const parts = (this.partial + chunk).split(/\s+/)
+        this.partial = parts.pop()
+        const added = parts.filter(word => word)
+        if (added.length === 0) return null
+
+        this.words.push(...added)
+        if (this.words.length > WINDOW_WORDS) this.words.splice(0, this.words.length - WINDOW_WORDS)
+        if (this.words.length < MIN_WORDS) return null
+
+        return this.check()
+    }
+
+    check() {
+        this.counts.checks++
+        const text = this.words.join(' ')
+        const { repetition, entropy, punctuation } = this.options
+
+        const measured = [
+            ['repetition', repetitionScore(this.words), value => value >= repetition, repetition],
+            ['entropy', characterEntropy(text), value => value < entropy, entropy],
+            ['punctuation', punctuationScore(text), value => value >= punctuation, punctuation]
+        ]
+        for (const [check, value, trips, threshold] of measured) {
+            if (!trips(value)) continue
+            this.counts[check]++
+            this.lastTrip = { check, value, threshold, time: new Date().toISOString(), sample: text.slice(-80) }
+            this.reset() // Start over so one loop trips once
+            return this.lastTrip
+        }
+        return null
+    }
+
+    recordAction(action) {
+        this.actions[action] = (this.actions[action] ?? 0) + 1
+    }
+
+    stats() {
+        return { ...this.counts, actions: { ...this.actions }, lastTrip: this.lastTrip }
+    }
+}
+
+export function degenerationOptionsFromConfig(config) {
+    return {
+        repetition: config.degenerationRepetition,
+        entropy: config.degenerationEntropy,
+        punctuation: config.degenerationPunctuation
+    }
+}
@@ -0,0 +1,327 @@
+// ============================================================================
+// FIELDS - Force fields in the ocean, beyond the one gravity center
+// ============================================================================
+//
+// Each field is a plain object, so config.json and exports use the same shape:
+//   { name, type, x, y, strength, radius, falloff, ... }
+// Positions and radii are shares of the canvas (x, y of width and height,
+// radius of the shorter side), so a layout survives any screen. Types:
+//   attractor -> pulls toward (x, y)
+//   repeller  -> pushes away from (x, y)
+//   vortex    -> swirls around (x, y), clockwise on screen for positive strength;
+//                `pull` adds some attraction so letters spiral in
+//   wall      -> pushes letters off the segment (x, y)-(x2, y2) within radius
+//   flow      -> steers along a drifting value-noise field; `scale` is the
+//                noise frequency per pixel and `speed` how fast it drifts
+// falloff is 'none', 'linear' or 'smooth' over radius (radius 0 = everywhere;
+// walls need a radius). Fields animate with
+//   orbit: { x, y, period } -> Lissajous path (x, y as shares, period in ms)
+//                              around the base position
+//   pulse: { depth, period } -> strength swings by depth (0..1) every period ms
+// Strength is in px/frame² like config.gravityStrength. Attractors, repellers
+// and vortices are also wells: bursts and Ocean.formWord can launch words
+// from them by name. Headless: Ocean.step calls prepare() once and apply() per letter.
+
+export const FIELD_TYPES = ['attractor', 'repeller', 'vortex', 'wall', 'flow']
+
+const FIELD_DEFAULTS = {
+    attractor: { strength: 0.05, radius: 0.4, falloff: 'linear' },
+    repeller: { strength: 0.1, radius: 0.15, falloff: 'smooth' },
+    vortex: { strength: 0.05, radius: 0.3, falloff: 'smooth', pull: 0.2 },
+    wall: { strength: 0.5, radius: 0.03, falloff: 'linear', x: 0.3, y: 0.5, x2: 0.7, y2: 0.5 },
+    flow: { strength: 0.03, radius: 0, falloff: 'none', scale: 0.004, speed: 0.0001 }
+}
+
+const NUMERIC_KEYS = ['x', 'y', 'x2', 'y2', 'strength', 'radius', 'pull', 'scale', 'speed']
+const ANIMATION_KEYS = { orbit: ['x', 'y', 'period'], pulse: ['depth', 'period'] }
+
+const FALLOFFS = {
+    none: () => 1,
+    linear: (t) => 1 - t,
+    smooth: (t) => (1 - t * t) ** 2
+}
+
+// An object with a known type; anything else is skipped with a warning
+export function isFieldSpec(spec) {
+    if (typeof spec !== 'object' || spec === null || Array.isArray(spec)) {
+        console.warn(`🧲 Ignoring force field ${JSON.stringify(spec)}: expected an object`)
+        return false
+    }
+    if (!FIELD_TYPES.includes(spec.type)) {
+        console.warn(`🧲 Unknown force field type "${spec.type}"`)
+        return false
+    }
+    return true
+}
+
+// Animation period in ms; at least 1 so a 0 can't divide positions into NaN
+function period(animation, fallback) {
+    return Math.max(1, Number(animation.period ?? fallback) || fallback)
+}
+
+// ============================================================================
+// NOISE - Hash-based 3D value noise (deterministic, no PRNG draws)
+// ============================================================================
+
+function hash3(x, y, z) {
+    let h = Math.imul(x, 374761393) ^ Math.imul(y, 668265263) ^ Math.imul(z, 1274126177)
+    h = Math.imul(h ^ (h >>> 13), 1103515245)
+    return ((h ^ (h >>> 16)) >>> 0) / 4294967296
+}
+
+const smoothstep = (t) => t * t * (3 - 2 * t)
+const lerp = (a, b, t) => a + (b - a) * t
+
+export function valueNoise(x, y, z) {
+    const x0 = Math.floor(x)
+    const y0 = Math.floor(y)
+    const z0 = Math.floor(z)
+    const tx = smoothstep(x - x0)
+    const ty = smoothstep(y - y0)
+    const tz = smoothstep(z - z0)
+
+    const plane = (zi) => lerp(
+        lerp(hash3(x0, y0, zi), hash3(x0 + 1, y0, zi), tx),
+        lerp(hash3(x0, y0 + 1, zi), hash3(x0 + 1, y0 + 1, zi), tx),
+        ty
+    )
+    return lerp(plane(z0), plane(z0 + 1), tz)
+}
+
+// ============================================================================
+// FIELD SET
+// ============================================================================
+
+export class FieldSet {
+    // `specs` is kept and normalized in place (config.forceFields), so edits
+    // made here show up in config and in exports
+    constructor(specs = []) {
+        this.time = 0
+        this.width = 1
+        this.height = 1
+        this.resolved = new Map() // field -> { x, y, x2, y2, radius, force } in px for this frame
+        this.set(specs)
+    }
+
+    // Take over a list of specs; non-objects and unknown types are dropped with a warning
+    set(specs) {
+        this.fields = specs
+        this.resolved.clear()
+        specs.splice(0, specs.length, ...specs.filter(isFieldSpec))
+        for (const field of specs) this.normalize(field)
+        this.prepare(this.time, this.width, this.height)
+    }
+
+    add(spec) {
+        if (!isFieldSpec(spec)) return null
+        const field = { ...spec }
+        this.normalize(field)
+        this.fields.push(field)
+        this.prepare(this.time, this.width, this.height)
+        return field
+    }
+
+    // Fill in defaults for the field's type and make every number a number:
+    // values that aren't (e.g. "strong") fall back to the default with a warning
+    normalize(field) {
+        const defaults = { x: 0.5, y: 0.5, ...FIELD_DEFAULTS[field.type] }
+        if (!field.name) field.name = this.uniqueName(field.type)
+        field.name = String(field.name)
+        if (!FALLOFFS[field.falloff]) field.falloff = defaults.falloff
+
+        for (const key of NUMERIC_KEYS) {
+            if (field[key] === undefined) {
+                if (key in defaults) field[key] = defaults[key]
+                continue
+            }
+            const value = Number(field[key])
+            if (Number.isFinite(value)) {
+                field[key] = value
+                continue
+            }
+            console.warn(`🧲 Ignoring ${field.name} ${key}=${JSON.stringify(field[key])}: not a number`)
+            if (key in defaults) field[key] = defaults[key]
+            else delete field[key]
+        }
+
+        for (const [name, keys] of Object.entries(ANIMATION_KEYS)) {
+            const animation = field[name]
+            if (animation === undefined) continue
+            if (typeof animation !== 'object' || animation === null) {
+                console.warn(`🧲 Ignoring ${field.name} ${name}: expected an object`)
+                delete field[name]
+                continue
+            }
+            // Missing or broken members use the defaults in prepare()
+            for (const key of keys) {
+                if (animation[key] === undefined) continue
+                const value = Number(animation[key])
+                if (Number.isFinite(value)) {
+                    animation[key] = value
+                } else {
+                    console.warn(`🧲 Ignoring ${field.name} ${name}.${key}=${JSON.stringify(animation[key])}: not a number`)
+                    delete animation[key]
+                }
+            }
+        }
+    }
+
+    remove(name) {
+        const index = this.fields.findIndex(field => field.name === name)
+        if (index === -1) return
+        this.resolved.delete(this.fields[index])
+        this.fields.splice(index, 1)
+    }
+
+    clear() {
+        this.fields.length = 0
+        this.resolved.clear()
+    }
+
+    get(name) {
+        return this.fields.find(field => field.name === name) ?? null
+    }
+
+    uniqueName(type) {
+        let n = 1
+        while (this.get(`${type}-${n}`)) n++
+        return `${type}-${n}`
+    }
+
+    // Names of fields words can launch from (walls and flows have no point)
+    get wells() {
+        return this.fields.filter(field => field.type !== 'wall' && field.type !== 'flow').map(field => field.name)
+    }
+
+    // Resolve every field for this frame: pixel positions, animated strength
+    prepare(time, width, height) {
+        this.time = time
+        this.width = width
+        this.height = height
+        const unit = Math.min(width, height)
+
+        for (const field of this.fields) {
+            let { x, y } = field
+            let dx = 0
+            let dy = 0
+            if (field.orbit) {
+                const phase = time / period(field.orbit, 60000) * Math.PI * 2
+                dx = Math.sin(phase * 3) * (field.orbit.x ?? 0.1)
+                dy = Math.sin(phase * 2) * (field.orbit.y ?? 0.1)
+                x += dx
+                y += dy
+            }
+            const pulse = field.pulse
+                ? 1 + Math.sin(time / period(field.pulse, 10000) * Math.PI * 2) * (field.pulse.depth ?? 0.5)
+                : 1
+
+            this.resolved.set(field, {
+                x: x * width,
+                y: y * height,
+                x2: ((field.x2 ?? field.x) + dx) * width,
+                y2: ((field.y2 ?? field.y) + dy) * height,
+                radius: field.radius * unit,
+                force: field.strength * pulse
+            })
+        }
+    }
+
+    // Position of a named field this frame, or null
+    point(name) {
+        const handle = this.resolved.get(this.get(name))
+        return handle ? { x: handle.x, y: handle.y } : null
+    }
+
+    // Field whose handle is within `radius` px of (x, y), for dragging
+    at(x, y, radius) {
+        return this.fields.find(field => {
+            const handle = this.resolved.get(field)
+            return handle !== undefined && Math.hypot(handle.x - x, handle.y - y) <= radius
+        }) ?? null
+    }
+
+    // Move a field's handle to (x, y) px; walls keep their length and angle
+    moveTo(field, x, y) {
+        const handle = this.resolved.get(field)
+        const dx = (x - handle.x) / this.width
+        const dy = (y - handle.y) / this.height
+        field.x += dx
+        field.y += dy
+        if (field.type === 'wall') {
+            field.x2 += dx
+            field.y2 += dy
+        }
+        this.prepare(this.time, this.width, this.height)
+    }
+
+    // Add every field's force to `letter.acc`. While `suspended` (gravity off
+    // or a zero-gravity burst) only walls still act; held letters feel nothing.
+    apply(letter, suspended = false) {
+        if (letter.dragging) return
+        for (const field of this.fields) {
+            if (suspended && field.type !== 'wall') continue
+            this.applyField(field, this.resolved.get(field), letter)
+        }
+    }
+
+    applyField(field, at, letter) {
+        const { pos, acc } = letter
+        let dx
+        let dy
+
+        if (field.type === 'wall') {
+            // Closest point on the segment
+            const sx = at.x2 - at.x
+            const sy = at.y2 - at.y
+            const lengthSq = sx * sx + sy * sy
+            const t = lengthSq > 0
+                ? Math.max(0, Math.min(1, ((pos.x - at.x) * sx + (pos.y - at.y) * sy) / lengthSq))
+                : 0
+            dx = pos.x - (at.x + sx * t)
+            dy = pos.y - (at.y + sy * t)
+        } else {
+            dx = at.x - pos.x
+            dy = at.y - pos.y
+        }
+
+        const dist = Math.sqrt(dx * dx + dy * dy)
+        let weight = 1
+        if (at.radius > 0) {
+            if (dist >= at.radius) return
+            weight = FALLOFFS[field.falloff](dist / at.radius)
+        } else if (field.type === 'wall') {
+            return
+        }
+        const force = at.force * weight
+
+        switch (field.type) {
+            case 'attractor':
+            case 'repeller': {
+                if (dist === 0) return
+                const sign = field.type === 'attractor' ? 1 : -1
+                acc.x += (dx / dist) * force * sign
+                acc.y += (dy / dist) * force * sign
+                break
+            }
+            case 'vortex': {
+                if (dist === 0) return
+                // Tangent, clockwise on screen (y points down)
+                acc.x += (dy / dist) * force + (dx / dist) * force * field.pull
+                acc.y += (-dx / dist) * force + (dy / dist) * force * field.pull
+                break
+            }
+            case 'wall': {
+                if (dist === 0) return
+                acc.x += (dx / dist) * force
+                acc.y += (dy / dist) * force
+                break
+            }
+            case 'flow': {
+                const angle = valueNoise(pos.x * field.scale, pos.y * field.scale, this.time * field.speed) * Math.PI * 4
+                acc.x += Math.cos(angle) * force
+                acc.y += Math.sin(angle) * force
+                break
+            }
+        }
+    }
+}
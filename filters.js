@@ -0,0 +1,148 @@
+// ============================================================================
+// WORD FILTER - Pipeline between the raw model stream and the burst queue
+// ============================================================================
+//
+// Each word passes through the enabled stages in order:
+//   normalize  -> smart quotes to plain, markdown artifacts stripped
+//   blocklist  -> profanity and slurs masked or skipped
+//   minLength  -> words shorter than N letters/digits skipped
+//   stopWords  -> common function words skipped
+//   dedupe     -> immediate repeats of the previous kept word skipped
+//
+// Pure module with no config or DOM access: pass options in, so it can be
+// exercised on its own. filterOptionsFromConfig() maps the runtime config.
+
+export const STOP_WORDS = new Set([
+    'a', 'about', 'after', 'all', 'also', 'am', 'an', 'and', 'any', 'are', 'as', 'at',
+    'be', 'because', 'been', 'but', 'by', 'can', 'could', 'did', 'do', 'does', 'for',
+    'from', 'had', 'has', 'have', 'he', 'her', 'him', 'his', 'how', 'i', 'if', 'in',
+    'into', 'is', 'it', 'its', 'just', 'me', 'my', 'no', 'not', 'of', 'on', 'or', 'our',
+    'out', 'she', 'so', 'some', 'than', 'that', 'the', 'their', 'them', 'then', 'there',
+    'these', 'they', 'this', 'those', 'to', 'up', 'us', 'was', 'we', 'were', 'what',
+    'when', 'where', 'which', 'while', 'who', 'will', 'with', 'would', 'you', 'your'
+])
+
+// Matched against the lowercased letters of a word. Roots in BLOCKED_ANYWHERE
+// are unambiguous enough to match inside compounds; BLOCKED_WORDS match the
+// word itself plus common inflections, so "cocktail" or "spice" stay clean.
+const BLOCKED_ANYWHERE = ['fuck', 'fuk', 'shit', 'cunt', 'nigg', 'faggot']
+const BLOCKED_WORDS = [
+    'ass', 'asshole', 'bastard', 'bitch', 'cock', 'crap', 'damn', 'dick', 'dyke',
+    'fag', 'kike', 'piss', 'pussy', 'retard', 'slut', 'spic', 'chink', 'tranny', 'twat',
+    'wank', 'wanker', 'whore'
+]
+const INFLECTIONS = '(s|es|ed|er|ers|ing|y|ies)?'
+
+const QUOTE_REPLACEMENTS = [
+    [/[‘’‚‛′]/g, "'"],
+    [/[“”„‟″]/g, '"'],
+    [/[–—]/g, '-'],
+    [/…/g, '...']
+]
+
+export const DEFAULT_FILTER_OPTIONS = {
+    normalize: true,
+    blocklist: false,
+    blocklistPolicy: 'skip', // 'skip' or 'mask'
+    blocklistExtra: [], // Additional blocked words (exact match, lowercase)
+    maskGlyph: '-',
+    minLength: 4, // 0 disables
+    stopWords: false,
+    dedupe: true
+}
+
+// Letters and digits only, lowercased - what the stages compare against
+export function wordCore(word) {
+    return word.toLowerCase().replace(/[^\p{L}\p{N}]/gu, '')
+}
+
+export function normalizeWord(word) {
+    let normalized = word
+    for (const [pattern, replacement] of QUOTE_REPLACEMENTS) {
+        normalized = normalized.replace(pattern, replacement)
+    }
+
+    return normalized
+        .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1') // [text](url) -> text
+        .replace(/<\/?[a-z][^>]*>/gi, '') // Stray HTML tags
+        .replace(/[*_`~]+/g, '') // Emphasis, code and strike markers
+        .replace(/^[#>]+/, '') // Heading and blockquote markers
+}
+
+export function isBlocked(word, extra = []) {
+    const core = wordCore(word)
+    if (!core) return false
+    if (BLOCKED_ANYWHERE.some(root => core.includes(root))) return true
+    if (extra.includes(core)) return true
+    return BLOCKED_WORDS.some(root => new RegExp(`^${root}${INFLECTIONS}$`).test(core))
+}
+
+// Replace letters and digits with the mask glyph, keeping the first letter and punctuation
+export function maskWord(word, glyph = '-') {
+    let seenFirst = false
+    return word.replace(/[\p{L}\p{N}]/gu, (char) => {
+        if (!seenFirst) {
+            seenFirst = true
+            return char
+        }
+        return glyph
+    })
+}
+
+export class WordFilter {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_FILTER_OPTIONS, ...options }
+        this.previousCore = null // For dedupe
+        this.skipped = {} // stage -> count
+    }
+
+    configure(options) {
+        this.options = { ...DEFAULT_FILTER_OPTIONS, ...options }
+    }
+
+    reset() {
+        this.previousCore = null
+        this.skipped = {}
+    }
+
+    // Returns { word, normalized, skippedBy }: `word` is what to queue (null
+    // when skipped), `normalized` is the word after normalization either way so
+    // callers can still read its sentence punctuation
+    apply(rawWord) {
+        const options = this.options
+        const normalized = options.normalize ? normalizeWord(rawWord) : rawWord
+        let word = normalized
+
+        const skip = (stage) => {
+            this.skipped[stage] = (this.skipped[stage] ?? 0) + 1
+            return { word: null, normalized, skippedBy: stage }
+        }
+
+        const core = wordCore(word)
+        if (!core) return skip('normalize')
+
+        const blocked = options.blocklist && isBlocked(word, options.blocklistExtra)
+        if (blocked && options.blocklistPolicy !== 'mask') return skip('blocklist')
+
+        // Later stages judge the word itself, not its mask
+        if (options.minLength > 0 && [...core].length < options.minLength) return skip('minLength')
+        if (options.stopWords && STOP_WORDS.has(core)) return skip('stopWords')
+        if (options.dedupe && core === this.previousCore) return skip('dedupe')
+
+        this.previousCore = core
+        if (blocked) word = maskWord(word, options.maskGlyph)
+        return { word, normalized, skippedBy: null }
+    }
+}
+
+export function filterOptionsFromConfig(config) {
+    return {
+        normalize: config.filterNormalize,
+        blocklist: config.filterBlocklist,
+        blocklistPolicy: config.filterBlocklistPolicy,
+        blocklistExtra: config.filterBlocklistExtra.map(word => word.toLowerCase()),
+        minLength: config.filterMinLength,
+        stopWords: config.filterStopWords,
+        dedupe: config.filterDedupe
+    }
+}
@@ -0,0 +1,186 @@
+// ============================================================================
+// GENERATION CONTROLLER - One stream at a time, paced by the word backlog
+// ============================================================================
+//
+// Runs `task(signal)` (one prompt's stream) in a loop with:
+//   single flight -> never two streams at once, however often start() is called
+//   backpressure  -> a stream is aborted when the backlog passes the high
+//                    watermark, and the next one waits until it drains to low
+//   backoff       -> failed streams retry after an exponentially growing,
+//                    jittered delay
+// start/pause/resume/stop drive it; pause and stop abort the stream in
+// flight. Every state change goes to onStatus for the UI.
+
+const POLL_INTERVAL = 250 // ms between backlog checks
+
+export const DEFAULT_GENERATION_OPTIONS = {
+    highWatermark: 400, // Words waiting before generation holds off
+    lowWatermark: 150, // Words waiting before it starts again
+    backoffBase: 1000, // ms after the first failure
+    backoffMax: 60000
+}
+
+export class GenerationController {
+    constructor(task, { backlog = () => 0, options = {}, onStatus = null, onError = null } = {}) {
+        this.task = task // async (signal) => void
+        this.backlog = backlog // () => words waiting
+        this.options = { ...DEFAULT_GENERATION_OPTIONS, ...options }
+        this.onStatus = onStatus // ({ state, backlog, consecutiveErrors, retryIn? })
+        this.onError = onError // (error, consecutiveErrors)
+
+        this.state = 'stopped' // stopped | running | paused | waiting | backoff
+        this.loop = null // The one loop promise while started
+        this.abortController = null // For the stream in flight
+        this.consecutiveErrors = 0
+        this.wake = null // Resolves a sleep early on pause/resume/stop
+        this.streams = 0
+    }
+
+    configure(options) {
+        this.options = { ...DEFAULT_GENERATION_OPTIONS, ...options }
+    }
+
+    start() {
+        if (this.state !== 'stopped') return
+        this.setState('running')
+        if (this.loop) return // Still winding down from stop(); it sees the new state
+
+        this.loop = this.run().finally(() => {
+            this.loop = null
+            // Started again after the loop's last check - go round once more
+            if (this.state !== 'stopped') {
+                this.state = 'stopped'
+                this.start()
+            }
+        })
+    }
+
+    pause() {
+        if (this.state === 'stopped' || this.state === 'paused') return
+        this.setState('paused')
+        this.abort('paused')
+    }
+
+    resume() {
+        if (this.state !== 'paused') return
+        this.setState('running')
+        this.wake?.()
+    }
+
+    stop() {
+        if (this.state === 'stopped') return
+        this.setState('stopped')
+        this.abort('stopped')
+    }
+
+    // Abort the stream in flight but keep going, e.g. when the source changes
+    interrupt(reason = 'interrupted') {
+        this.abort(reason)
+    }
+
+    resetBackoff() {
+        this.consecutiveErrors = 0
+    }
+
+    abort(reason) {
+        this.abortController?.abort(reason)
+        this.wake?.()
+    }
+
+    async run() {
+        while (this.state !== 'stopped') {
+            if (this.state === 'paused') {
+                await this.sleep(Infinity)
+                continue
+            }
+
+            // Backpressure: let the canvas catch up before the next stream
+            if (this.backlog() > this.options.highWatermark) {
+                this.setState('waiting')
+                while (this.state === 'waiting' && this.backlog() > this.options.lowWatermark) {
+                    await this.sleep(POLL_INTERVAL)
+                }
+                if (this.state === 'waiting') this.setState('running')
+                continue
+            }
+
+            const failed = await this.runStream()
+            if (failed && this.state === 'running') {
+                const retryIn = this.backoffDelay()
+                this.setState('backoff', { retryIn })
+                await this.sleep(retryIn)
+                if (this.state === 'backoff') this.setState('running')
+            }
+        }
+    }
+
+    // One task run; returns true when it failed
+    async runStream() {
+        const abortController = new AbortController()
+        this.abortController = abortController
+        const watch = setInterval(() => {
+            if (this.backlog() > this.options.highWatermark) abortController.abort('backpressure')
+        }, POLL_INTERVAL)
+
+        try {
+            this.streams++
+            await this.task(abortController.signal)
+            this.consecutiveErrors = 0
+            return false
+        } catch (error) {
+            if (abortController.signal.aborted) {
+                console.log(`✋ Stream aborted (${abortController.signal.reason})`)
+                return false
+            }
+            this.consecutiveErrors++
+            console.error('Generation error:', error)
+            this.onError?.(error, this.consecutiveErrors)
+            return true
+        } finally {
+            clearInterval(watch)
+            this.abortController = null
+        }
+    }
+
+    // Exponential backoff with full jitter between half and the whole delay
+    backoffDelay() {
+        const { backoffBase, backoffMax } = this.options
+        const delay = Math.min(backoffMax, backoffBase * 2 ** (this.consecutiveErrors - 1))
+        return Math.round(delay * (0.5 + Math.random() / 2))
+    }
+
+    sleep(ms) {
+        return new Promise(resolve => {
+            const timer = ms === Infinity ? null : setTimeout(done, ms)
+            function done() {
+                clearTimeout(timer)
+                resolve()
+            }
+            this.wake = done
+        }).finally(() => { this.wake = null })
+    }
+
+    setState(state, extra = {}) {
+        this.state = state
+        this.onStatus?.({ state, backlog: this.backlog(), consecutiveErrors: this.consecutiveErrors, ...extra })
+    }
+
+    stats() {
+        return {
+            state: this.state,
+            backlog: this.backlog(),
+            streams: this.streams,
+            consecutiveErrors: this.consecutiveErrors,
+            inFlight: this.abortController !== null
+        }
+    }
+}
+
+export function generationOptionsFromConfig(config) {
+    return {
+        highWatermark: config.generationHighWatermark,
+        lowWatermark: Math.min(config.generationLowWatermark, config.generationHighWatermark),
+        backoffBase: config.generationBackoffBase,
+        backoffMax: config.generationBackoffMax
+    }
+}
@@ -0,0 +1,158 @@
+// ============================================================================
+// IDLE - Attract mode for unattended kiosks
+// ============================================================================
+//
+// After config.idleTimeout ms without interaction the ocean looks after
+// itself:
+//   drift    -> the gravity center eases home (canvas middle) or follows a
+//               slow Lissajous loop around it (idleDrift)
+//   showcase -> every idleShowcaseInterval ms a burst starts without waiting
+//               for the cooldown, cycling through idleShowcaseBursts
+//   restore  -> what visitors changed (gravity switched off, pinched gravity
+//               strength or letter size) eases back to the value before they
+//               touched it; settings from the tuning panel or a preset stay
+// The first interaction hands control back: for idleHandover ms the center
+// eases towards where the visitor puts it instead of jumping there.
+// Headless like simulation.js: call activity() on input and update() per frame.
+
+import { config } from './config.js'
+
+const EASE = 0.02 // Share of the remaining distance covered per frame
+const LISSAJOUS = { a: 3, b: 2 } // Frequency ratio of the loop
+const CENTER_REPORT_INTERVAL = 250 // ms between onCenter reports while drifting
+const RESTORE_EPSILON = 0.001 // Close enough to snap a restored value home
+
+export class IdleController {
+    constructor(ocean, now = 0) {
+        this.ocean = ocean
+        this.state = 'active' // active | idle
+        this.lastActivity = now
+        this.now = now // Time of the last update, for stats()
+        this.idleSince = null
+        this.nextShowcase = Infinity
+        this.showcaseIndex = 0
+        this.handoverUntil = 0
+        this.target = null // Where the visitor wants the center during a handover
+        // Config values visitors changed, as they were before (see visitorChange)
+        this.baseline = {}
+        this.lastCenterReport = -Infinity
+        this.onChange = null // (state)
+        this.onCenter = null // (x, y) as the drift moves the center, throttled (session recording)
+    }
+
+    // Any interaction; ends attract mode
+    activity(now) {
+        this.lastActivity = now
+        if (this.state !== 'idle') return
+        this.state = 'active'
+        this.handoverUntil = now + config.idleHandover
+        this.target = null
+        console.log('👋 Visitor back, leaving attract mode')
+        this.onChange?.(this.state)
+    }
+
+    // A visitor is about to change config[key] (a pinch); attract mode eases it back
+    visitorChange(key) {
+        if (!(key in this.baseline)) this.baseline[key] = config[key]
+    }
+
+    // The operator set these keys (tuning panel, preset): their values stand
+    keep(keys) {
+        for (const key of keys) delete this.baseline[key]
+    }
+
+    // Visitor moves the center; eased while control is being handed back
+    moveCenter(x, y, now) {
+        this.activity(now)
+        if (now < this.handoverUntil) {
+            this.target = { x, y }
+        } else {
+            this.ocean.centerX = x
+            this.ocean.centerY = y
+        }
+    }
+
+    update(now) {
+        this.now = now
+        const timeout = config.idleTimeout
+        if (this.state === 'active') {
+            if (this.target) this.handOver(now)
+            if (timeout > 0 && now - this.lastActivity >= timeout) this.enterIdle(now)
+            return
+        }
+
+        const { x, y } = this.driftTarget(now)
+        this.ease(x, y, EASE)
+        if (now - this.lastCenterReport >= CENTER_REPORT_INTERVAL) {
+            this.lastCenterReport = now
+            this.onCenter?.(this.ocean.centerX, this.ocean.centerY)
+        }
+        this.restore()
+
+        if (now >= this.nextShowcase) {
+            const names = config.idleShowcaseBursts
+            if (names.length > 0) this.ocean.requestBurst(names[this.showcaseIndex++ % names.length])
+            this.nextShowcase = now + config.idleShowcaseInterval
+        }
+    }
+
+    enterIdle(now) {
+        this.state = 'idle'
+        this.idleSince = now
+        this.nextShowcase = config.idleShowcaseInterval > 0 ? now + config.idleShowcaseInterval : Infinity
+        console.log('💤 No interaction, entering attract mode')
+        this.onChange?.(this.state)
+    }
+
+    driftTarget(now) {
+        const { width, height } = this.ocean
+        if (config.idleDrift !== 'lissajous') return { x: width / 2, y: height / 2 }
+
+        // Starts at the middle, so the drift home and the loop join up
+        const phase = (now - this.idleSince) / config.idleDriftPeriod * Math.PI * 2
+        return {
+            x: width / 2 + Math.sin(phase * LISSAJOUS.a) * width * config.idleDriftSize,
+            y: height / 2 + Math.sin(phase * LISSAJOUS.b) * height * config.idleDriftSize
+        }
+    }
+
+    // Ease from the idle center to the visitor's, faster as the handover ends
+    handOver(now) {
+        const remaining = this.handoverUntil - now
+        if (remaining <= 0) {
+            this.ease(this.target.x, this.target.y, 1)
+            this.target = null
+            return
+        }
+        this.ease(this.target.x, this.target.y, Math.min(1, 1000 / 60 / remaining))
+    }
+
+    ease(x, y, amount) {
+        this.ocean.centerX += (x - this.ocean.centerX) * amount
+        this.ocean.centerY += (y - this.ocean.centerY) * amount
+    }
+
+    restore() {
+        const { ocean, baseline } = this
+        // A zero-gravity burst switches gravity off on purpose; leave that alone
+        if (ocean.currentBurst.length === 0) ocean.gravityDisabled = false
+
+        for (const [key, value] of Object.entries(baseline)) {
+            const next = Math.abs(config[key] - value) > RESTORE_EPSILON
+                ? config[key] + (value - config[key]) * EASE
+                : value
+            if (key === 'letterSize') ocean.setLetterSize(next)
+            else config[key] = next
+            if (next === value) delete baseline[key]
+        }
+    }
+
+    stats() {
+        const { now } = this
+        return {
+            state: this.state,
+            idleIn: this.state === 'active' ? Math.max(0, config.idleTimeout - (now - this.lastActivity)) : 0,
+            nextShowcase: this.state === 'idle' ? Math.max(0, this.nextShowcase - now) : null
+        }
+    }
+}
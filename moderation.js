@@ -0,0 +1,192 @@
+// ============================================================================
+// MODERATION - Offline content safety between generation and the canvas
+// ============================================================================
+//
+// Every word and every completed sentence is scored against local rules:
+//   word rules     -> severity per matching word (blocklist, sexual terms, extras)
+//   sentence rules -> regexes over the joined sentence (threats, self-harm, ...)
+// A sentence's score is the sum of both. Words at or above maskSeverity are
+// masked; sentences at or above skipScore never reach the burst queue; prompts
+// scoring that high (or listed in skipPrompts) are passed over. Moderation only
+// runs while active: mode not 'off' and, if hours are given, inside one of them.
+//
+// Every decision is recorded in a bounded log for later review. Like
+// filters.js this module takes plain options and never touches the DOM.
+
+import { isBlocked, maskWord, wordCore } from './filters.js'
+
+export const MODERATION_MODES = {
+    off: null,
+    standard: { maskSeverity: 5, skipScore: 10 },
+    strict: { maskSeverity: 1, skipScore: 4 }
+}
+
+const SEXUAL_WORDS = new Set([
+    'sex', 'sexual', 'sexy', 'orgasm', 'orgasmic', 'naked', 'nude', 'nudes', 'horny',
+    'porn', 'porno', 'erotic', 'aroused', 'cum', 'masturbate', 'masturbating'
+])
+
+const WORD_RULES = [
+    { id: 'blocklist', severity: 5, test: (word) => isBlocked(word) },
+    { id: 'sexual', severity: 4, test: (word) => SEXUAL_WORDS.has(wordCore(word)) }
+]
+
+const SENTENCE_RULES = [
+    { id: 'threat', severity: 10, pattern: /\b(i('ll| will| am going to| want to)|gonna) (kill|hurt|murder|destroy) (you|him|her|them)\b/i },
+    { id: 'self-harm', severity: 10, pattern: /\b(kill(ing)? (myself|yourself)|suicide|self[- ]harm)\b/i },
+    { id: 'hate', severity: 4, pattern: /\b(i|we) (\w+ )?hate (you|every)\b/i },
+    { id: 'insult', severity: 4, pattern: /\byou('re| are) (a |an )?(\w+ )?(disgusting|worthless|pathetic|stupid|sack of)\b/i }
+]
+
+const LOG_LIMIT = 1000 // Decisions kept in memory
+
+export const DEFAULT_MODERATION_OPTIONS = {
+    mode: 'off',
+    hours: [], // "HH:MM-HH:MM" windows (may wrap midnight); empty means always
+    extraWords: [], // Blocked with severity 5
+    extraPatterns: [], // Regex sources, severity 6 per match
+    skipPrompts: [], // Case-insensitive substrings of prompts to pass over
+    maskGlyph: '-'
+}
+
+// Minutes since midnight for "HH:MM"
+function parseClock(text) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(text.trim())
+    if (!match) return null
+    return Number(match[1]) * 60 + Number(match[2])
+}
+
+export function inTimeWindows(windows, date) {
+    if (windows.length === 0) return true
+    const minutes = date.getHours() * 60 + date.getMinutes()
+
+    return windows.some((span) => {
+        const [start = null, end = null] = span.split('-').map(parseClock)
+        if (start === null || end === null) {
+            console.warn(`🛡️  Ignoring malformed time window "${span}"`)
+            return false
+        }
+        return start <= end
+            ? minutes >= start && minutes < end
+            : minutes >= start || minutes < end // Wraps past midnight
+    })
+}
+
+export class Moderator {
+    constructor(options = {}) {
+        this.log = []
+        this.onDecision = null // Optional observer, e.g. to persist the log
+        this.configure(options)
+    }
+
+    configure(options) {
+        this.options = { ...DEFAULT_MODERATION_OPTIONS, ...options }
+        this.thresholds = MODERATION_MODES[this.options.mode] ?? null
+
+        this.extraPatterns = []
+        for (const source of this.options.extraPatterns) {
+            try {
+                this.extraPatterns.push({ id: `pattern:${source}`, severity: 6, pattern: new RegExp(source, 'i') })
+            } catch (error) {
+                console.warn(`🛡️  Ignoring invalid moderation pattern "${source}"`)
+            }
+        }
+    }
+
+    isActive(date = new Date()) {
+        return this.thresholds !== null && inTimeWindows(this.options.hours, date)
+    }
+
+    // Severity and matching rule ids for one word
+    scoreWord(word) {
+        const rules = WORD_RULES.filter(rule => rule.test(word))
+        if (this.options.extraWords.includes(wordCore(word))) {
+            rules.push({ id: 'extra', severity: 5 })
+        }
+        return {
+            severity: rules.reduce((max, rule) => Math.max(max, rule.severity), 0),
+            rules: rules.map(rule => rule.id)
+        }
+    }
+
+    scoreText(text) {
+        const words = text.split(/\s+/).filter(w => w)
+        let score = 0
+        const rules = []
+
+        for (const word of words) {
+            const result = this.scoreWord(word)
+            score += result.severity
+            rules.push(...result.rules)
+        }
+        for (const rule of [...SENTENCE_RULES, ...this.extraPatterns]) {
+            if (rule.pattern.test(text)) {
+                score += rule.severity
+                rules.push(rule.id)
+            }
+        }
+        return { score, rules: [...new Set(rules)] }
+    }
+
+    // Returns the words to queue (possibly masked), or null to skip the sentence
+    reviewSentence(words, date = new Date()) {
+        if (!this.isActive(date)) return words
+
+        const text = words.join(' ')
+        const { score, rules } = this.scoreText(text)
+        if (score >= this.thresholds.skipScore) {
+            this.record('sentence', 'skip', text, score, rules, date)
+            return null
+        }
+
+        return words.map((word) => {
+            const result = this.scoreWord(word)
+            if (result.severity < this.thresholds.maskSeverity) return word
+            this.record('word', 'mask', word, result.severity, result.rules, date)
+            return maskWord(word, this.options.maskGlyph)
+        })
+    }
+
+    // Masked copy of `words` without logging, e.g. for the transcript
+    maskWords(words, date = new Date()) {
+        if (!this.isActive(date)) return words
+        return words.map(word => this.scoreWord(word).severity < this.thresholds.maskSeverity ? word : maskWord(word, this.options.maskGlyph))
+    }
+
+    // True when the prompt may be used right now
+    reviewPrompt(text, date = new Date()) {
+        if (!this.isActive(date)) return true
+
+        const lower = text.toLowerCase()
+        const listed = this.options.skipPrompts.find(fragment => lower.includes(fragment.toLowerCase()))
+        if (listed) {
+            this.record('prompt', 'skip', text, 0, [`skipPrompts:${listed}`], date)
+            return false
+        }
+
+        const { score, rules } = this.scoreText(text)
+        if (score >= this.thresholds.skipScore) {
+            this.record('prompt', 'skip', text, score, rules, date)
+            return false
+        }
+        return true
+    }
+
+    record(kind, action, text, score, rules, date) {
+        const entry = { time: date.toISOString(), kind, action, score, rules, text }
+        this.log.push(entry)
+        if (this.log.length > LOG_LIMIT) this.log.shift()
+        console.log(`🛡️  ${action} ${kind} (score ${score}: ${rules.join(', ')}): "${text.slice(0, 60)}"`)
+        this.onDecision?.(entry)
+    }
+}
+
+export function moderationOptionsFromConfig(config) {
+    return {
+        mode: config.moderation,
+        hours: config.moderationHours,
+        extraWords: config.moderationWords.map(word => word.toLowerCase()),
+        extraPatterns: config.moderationPatterns,
+        skipPrompts: config.moderationSkipPrompts
+    }
+}
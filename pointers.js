@@ -0,0 +1,158 @@
+// ============================================================================
+// POINTERS - Per-pointer drag state for mice, pens and many fingers at once
+// ============================================================================
+//
+// Each active pointer (by pointerId) is in one mode:
+//   letter -> holding the letter it went down on; on release the letter is
+//             thrown with the velocity of the last few samples
+//   center -> dragging the gravity center (only the first free pointer)
+//   pinch  -> a second free pointer joined; the pair reports the ratio of
+//             their distance to where it started
+//   idle   -> a finger with nothing to do (third while pinching, or left
+//             over from a pinch) until it lifts
+//   field  -> moving a force field by its handle (only while editFields)
+// Letters are hit-tested through Ocean.letterAt (quadtree), so any number of
+// visitors can throw letters at once. Pure module: no DOM or p5; the sketch
+// forwards pointer events with canvas coordinates and a time in ms.
+
+import { Vec2 } from './simulation.js'
+
+const SAMPLE_WINDOW = 100 // ms of movement that sets a throw's velocity
+const SAMPLE_LIMIT = 8
+const FRAME_MS = 1000 / 60 // Letter velocities are in px per frame
+const FIELD_HANDLE_RADIUS = 24 // px around a force field's position that grab it
+
+// Average velocity over recent { x, y, t } samples, in px per frame
+export function smoothedVelocity(samples) {
+    if (samples.length < 2) return new Vec2(0, 0)
+    const last = samples[samples.length - 1]
+    const first = samples.find(sample => last.t - sample.t <= SAMPLE_WINDOW) ?? samples[0]
+    const dt = last.t - first.t
+    if (dt <= 0) return new Vec2(0, 0)
+    return new Vec2((last.x - first.x) / dt * FRAME_MS, (last.y - first.y) / dt * FRAME_MS)
+}
+
+export class PointerTracker {
+    constructor(ocean) {
+        this.ocean = ocean
+        this.pointers = new Map() // pointerId -> { mode, letter, field?, samples }
+        this.pinch = null // { ids: [a, b], startDistance }
+        this.editFields = false // Field handles take pointers before letters do
+
+        this.onGrab = null // (letter)
+        this.onThrow = null // (letter)
+        this.onCenter = null // (x, y) while the center is dragged
+        this.onCenterEnd = null // ()
+        this.onPinchStart = null // ()
+        this.onPinch = null // (scale) relative to the pinch's start
+        this.onFieldMoved = null // (field) after a field is dropped somewhere new
+    }
+
+    down(id, x, y, t) {
+        const samples = [{ x, y, t }]
+        const field = this.editFields ? this.ocean.fields.at(x, y, FIELD_HANDLE_RADIUS) : null
+        if (field) {
+            this.pointers.set(id, { mode: 'field', letter: null, field, samples })
+            return
+        }
+
+        const letter = this.ocean.letterAt(x, y)
+
+        if (letter) {
+            letter.vel.mult(0) // Stop movement while dragging
+            letter.recruited = false // Release from any word formation
+            letter.dragging = true
+            this.pointers.set(id, { mode: 'letter', letter, samples })
+            this.onGrab?.(letter)
+            return
+        }
+
+        // A second free pointer turns the center drag into a pinch
+        const centerId = [...this.pointers].find(([, pointer]) => pointer.mode === 'center')?.[0]
+        if (centerId !== undefined) {
+            const other = this.pointers.get(centerId)
+            other.mode = 'pinch'
+            this.pointers.set(id, { mode: 'pinch', letter: null, samples })
+            this.pinch = { ids: [centerId, id], startDistance: Math.max(1, this.pinchDistance(centerId, id)) }
+            this.onCenterEnd?.()
+            this.onPinchStart?.()
+            return
+        }
+
+        if (this.pinch) {
+            // Third finger while pinching: ignore it
+            this.pointers.set(id, { mode: 'idle', letter: null, samples })
+            return
+        }
+
+        this.pointers.set(id, { mode: 'center', letter: null, samples })
+        this.onCenter?.(x, y)
+    }
+
+    move(id, x, y, t) {
+        const pointer = this.pointers.get(id)
+        if (!pointer) return
+        pointer.samples.push({ x, y, t })
+        if (pointer.samples.length > SAMPLE_LIMIT) pointer.samples.shift()
+
+        if (pointer.mode === 'letter') {
+            pointer.letter.pos.set(x, y)
+            pointer.letter.vel = smoothedVelocity(pointer.samples)
+        } else if (pointer.mode === 'center') {
+            this.onCenter?.(x, y)
+        } else if (pointer.mode === 'field') {
+            this.ocean.fields.moveTo(pointer.field, x, y)
+        } else if (pointer.mode === 'pinch' && this.pinch) {
+            const [a, b] = this.pinch.ids
+            this.onPinch?.(this.pinchDistance(a, b) / this.pinch.startDistance)
+        }
+    }
+
+    up(id, x, y, t) {
+        if (!this.pointers.has(id)) return
+        this.move(id, x, y, t)
+        this.release(id, true)
+    }
+
+    // Pointer lost (touch cancelled, window blur): let go without a throw
+    cancel(id) {
+        this.release(id, false)
+    }
+
+    release(id, thrown) {
+        const pointer = this.pointers.get(id)
+        if (!pointer) return
+        this.pointers.delete(id)
+
+        if (pointer.mode === 'letter') {
+            pointer.letter.dragging = false
+            if (thrown) {
+                pointer.letter.vel = smoothedVelocity(pointer.samples)
+                this.onThrow?.(pointer.letter)
+            } else {
+                pointer.letter.vel.mult(0)
+            }
+        } else if (pointer.mode === 'center') {
+            this.onCenterEnd?.()
+        } else if (pointer.mode === 'field') {
+            this.onFieldMoved?.(pointer.field)
+        } else if (pointer.mode === 'pinch') {
+            // The finger left behind just rests until lifted
+            const other = this.pointers.get(this.pinch?.ids.find(pinchId => pinchId !== id))
+            if (other) other.mode = 'idle'
+            this.pinch = null
+        }
+    }
+
+    pinchDistance(a, b) {
+        const pa = this.pointers.get(a).samples
+        const pb = this.pointers.get(b).samples
+        const lastA = pa[pa.length - 1]
+        const lastB = pb[pb.length - 1]
+        return Math.hypot(lastA.x - lastB.x, lastA.y - lastB.y)
+    }
+
+    get size() {
+        return this.pointers.size
+    }
+}
@@ -0,0 +1,274 @@
+// ============================================================================
+// PROMPTS - Prompt file parsing and scheduling
+// ============================================================================
+//
+// Two formats, detected from the content:
+//
+//   Lines (prompts.txt) - one prompt per line, # starts a comment:
+//     seed | display | weight=2 temperature=0.9 max_tokens=120 burst=spiral
+//                      hours=18:00-06:00 schedule=22:00-04:00*3 tags=night,calm
+//     The third part is optional, so plain "seed|display" lines still work.
+//     List values (hours, schedule, tags) are comma separated.
+//
+//   JSON - { "defaults": {...}, "prompts": [...] } or a bare array, where each
+//     prompt is a string in the line format or an object with the same keys.
+//
+// `hours` limits a prompt to time windows; `schedule` multiplies its weight
+// inside a window (0 keeps it out, e.g. never in the morning). PromptScheduler
+// picks in sequential, weighted random or shuffle-bag order.
+
+import { inTimeWindows } from './moderation.js'
+
+export const PROMPT_ORDERS = ['sequential', 'weighted', 'shuffle']
+
+const PROMPT_KEYS = ['seed', 'display', 'weight', 'temperature', 'max_tokens', 'burst', 'hours', 'schedule', 'tags']
+const TIME_WINDOW = /^(\d{1,2}):(\d{2})-(\d{1,2}):(\d{2})$/
+
+const splitList = (value) => Array.isArray(value)
+    ? value.map(String)
+    : String(value).split(',').map(item => item.trim()).filter(item => item)
+
+// "seed | display | key=value ..." -> raw entry object
+function parseLine(line) {
+    const [seed, display, options = ''] = line.split('|').map(part => part.trim())
+    const entry = { seed, display: display ?? seed }
+
+    for (const pair of options.split(/\s+/).filter(pair => pair)) {
+        const [key, ...value] = pair.split('=')
+        entry[key] = value.join('=')
+    }
+    return entry
+}
+
+// "HH:MM-HH:MM" with real clock times on both ends (hours < 24, minutes < 60)
+function isTimeWindow(window) {
+    const match = TIME_WINDOW.exec(window)
+    return match !== null && Number(match[1]) < 24 && Number(match[2]) < 60 &&
+        Number(match[3]) < 24 && Number(match[4]) < 60
+}
+
+// "22:00-04:00*3" -> { window, weight }; a bare window multiplies by 1
+function parseScheduleEntry(item) {
+    if (typeof item === 'object') return { window: String(item.hours ?? item.window), weight: Number(item.weight) }
+    const [window, weight = '1'] = item.split('*')
+    return { window: window.trim(), weight: Number(weight) }
+}
+
+// Raw entry -> prompt, throwing on the first invalid value
+function normalizeEntry(raw, defaults, id) {
+    const entry = { ...defaults, ...raw }
+    for (const key of Object.keys(entry)) {
+        if (!PROMPT_KEYS.includes(key)) throw new Error(`unknown key "${key}"`)
+    }
+
+    const seed = String(entry.seed ?? '').trim()
+    if (!seed) throw new Error('empty seed')
+    const display = String(entry.display ?? seed).trim()
+
+    const number = (key, fallback, min = 0) => {
+        if (entry[key] === undefined || entry[key] === '') return fallback
+        const value = Number(entry[key])
+        if (!Number.isFinite(value) || value < min) throw new Error(`invalid ${key} "${entry[key]}"`)
+        return value
+    }
+
+    const hours = entry.hours ? splitList(entry.hours) : []
+    const schedule = entry.schedule
+        ? (typeof entry.schedule === 'object' && !Array.isArray(entry.schedule)
+            ? Object.entries(entry.schedule).map(([window, weight]) => ({ window, weight: Number(weight) }))
+            : (Array.isArray(entry.schedule) ? entry.schedule : splitList(entry.schedule)).map(parseScheduleEntry))
+        : []
+
+    for (const window of [...hours, ...schedule.map(item => item.window)]) {
+        if (!isTimeWindow(window)) throw new Error(`invalid time window "${window}"`)
+    }
+    for (const item of schedule) {
+        if (!Number.isFinite(item.weight) || item.weight < 0) throw new Error(`invalid schedule weight for ${item.window}`)
+    }
+
+    return {
+        id,
+        seed,
+        display,
+        full: display === seed ? seed : `${seed} ${display}`,
+        weight: number('weight', 1),
+        temperature: number('temperature', null),
+        maxTokens: number('max_tokens', null, 1),
+        burst: entry.burst ? String(entry.burst) : null,
+        hours,
+        schedule,
+        tags: entry.tags ? splitList(entry.tags).map(tag => tag.toLowerCase()) : []
+    }
+}
+
+// Returns { prompts, errors } - invalid entries are reported, not fatal
+export function parsePrompts(text) {
+    const prompts = []
+    const errors = []
+    const trimmed = text.trim()
+
+    let entries // [label, raw entry]
+    let defaults = {}
+    if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+        let data
+        try {
+            data = JSON.parse(trimmed)
+        } catch (error) {
+            return { prompts, errors: [{ at: 'file', message: error.message }] }
+        }
+        const list = Array.isArray(data) ? data : data.prompts ?? []
+        defaults = Array.isArray(data) ? {} : data.defaults ?? {}
+        entries = list.map((item, i) => [`prompt ${i + 1}`, typeof item === 'string' ? parseLine(item) : item])
+    } else {
+        entries = text.split('\n')
+            .map((line, i) => [`line ${i + 1}`, line.trim()])
+            .filter(([, line]) => line && !line.startsWith('#'))
+            .map(([label, line]) => [label, parseLine(line)])
+    }
+
+    for (const [at, raw] of entries) {
+        try {
+            prompts.push(normalizeEntry(raw, defaults, prompts.length))
+        } catch (error) {
+            errors.push({ at, message: error.message })
+        }
+    }
+    return { prompts, errors }
+}
+
+// Identity across reloads: the same seed and display is the same prompt
+export function promptKey(prompt) {
+    return `${prompt.seed}|${prompt.display}`
+}
+
+// Plain text of the prompts, e.g. to seed the offline Markov source
+export function promptCorpus(prompts) {
+    return prompts.map(prompt => prompt.full).join('\n')
+}
+
+// Weight right now: 0 outside `hours`, multiplied by every matching schedule window
+export function promptWeight(prompt, date = new Date()) {
+    if (prompt.hours.length > 0 && !inTimeWindows(prompt.hours, date)) return 0
+    return prompt.schedule.reduce(
+        (weight, item) => inTimeWindows([item.window], date) ? weight * item.weight : weight,
+        prompt.weight
+    )
+}
+
+export class PromptScheduler {
+    // `random` is the scheduler's own generator, never the simulation's (see random.js)
+    constructor(prompts = [], { order = 'sequential', tags = [] } = {}, random = Math.random) {
+        this.random = random
+        this.order = order
+        this.tags = tags
+        this.index = 0 // Sequential position
+        this.bag = [] // Shuffle-bag of prompt ids still to draw
+        this.prompts = prompts
+    }
+
+    // Swap in a new list, keeping the rotation where it was: the sequential
+    // position follows the upcoming prompt and the bag keeps prompts that survived
+    setPrompts(prompts) {
+        const upcoming = this.prompts?.[this.index]
+        const ids = new Map(prompts.map(prompt => [promptKey(prompt), prompt.id]))
+        const carried = upcoming ? ids.get(promptKey(upcoming)) : undefined
+
+        this.bag = this.bag
+            .map(id => ids.get(promptKey(this.prompts[id])))
+            .filter(id => id !== undefined)
+        this.index = carried ?? (prompts.length > 0 ? this.index % prompts.length : 0)
+        this.prompts = prompts
+    }
+
+    configure({ order = this.order, tags = this.tags } = {}) {
+        if (order !== this.order) this.bag = []
+        this.order = order
+        this.tags = tags
+    }
+
+    // Prompts allowed by the tag filter (all of them if no prompt matches)
+    tagged() {
+        if (this.tags.length === 0) return this.prompts
+        const matching = this.prompts.filter(prompt => prompt.tags.some(tag => this.tags.includes(tag)))
+        return matching.length > 0 ? matching : this.prompts
+    }
+
+    // Next prompt with weight > 0 that `accept` lets through; when none
+    // qualifies the next one in sequence is used regardless
+    next(date = new Date(), accept = () => true) {
+        if (this.prompts.length === 0) return null
+        const candidates = this.tagged()
+        const eligible = (prompt) => promptWeight(prompt, date) > 0 && accept(prompt)
+
+        const picked = this.order === 'weighted' ? this.pickWeighted(candidates, date, accept)
+            : this.order === 'shuffle' ? this.pickFromBag(candidates, date, eligible)
+            : this.pickSequential(candidates, eligible)
+        if (picked) return picked
+
+        console.warn('🗓️  No prompt is eligible right now - using the next one in sequence')
+        return this.pickSequential(candidates, () => true)
+    }
+
+    pickSequential(candidates, eligible) {
+        for (let i = 0; i < this.prompts.length; i++) {
+            const prompt = this.prompts[this.index]
+            this.index = (this.index + 1) % this.prompts.length
+            if (candidates.includes(prompt) && eligible(prompt)) return prompt
+        }
+        return null
+    }
+
+    pickWeighted(candidates, date, accept) {
+        const weighted = candidates
+            .map(prompt => [prompt, promptWeight(prompt, date)])
+            .filter(([, weight]) => weight > 0)
+
+        // Roll, and on a moderation reject roll again without that prompt
+        while (weighted.length > 0) {
+            const total = weighted.reduce((sum, [, weight]) => sum + weight, 0)
+            let roll = this.random() * total
+            let i = weighted.findIndex(([, weight]) => (roll -= weight) < 0)
+            if (i < 0) i = weighted.length - 1
+
+            const [prompt] = weighted[i]
+            if (accept(prompt)) return prompt
+            weighted.splice(i, 1)
+        }
+        return null
+    }
+
+    // Every prompt goes into the bag round(weight) times (at least once) and
+    // the bag is drawn empty before refilling, so nothing repeats early
+    pickFromBag(candidates, date, eligible) {
+        for (let refills = 0; refills < 2; refills++) {
+            while (this.bag.length > 0) {
+                const prompt = this.prompts[this.bag.pop()]
+                if (prompt && candidates.includes(prompt) && eligible(prompt)) return prompt
+            }
+            this.refillBag(candidates, date)
+        }
+        return null
+    }
+
+    refillBag(candidates, date) {
+        for (const prompt of candidates) {
+            const weight = promptWeight(prompt, date)
+            if (weight <= 0) continue
+            for (let i = 0; i < Math.max(1, Math.round(weight)); i++) this.bag.push(prompt.id)
+        }
+        // Fisher-Yates
+        for (let i = this.bag.length - 1; i > 0; i--) {
+            const j = Math.floor(this.random() * (i + 1))
+            const swap = this.bag[i]
+            this.bag[i] = this.bag[j]
+            this.bag[j] = swap
+        }
+    }
+}
+
+export function schedulerOptionsFromConfig(config) {
+    return {
+        order: config.promptOrder,
+        tags: config.promptTags.map(tag => tag.toLowerCase())
+    }
+}
@@ -0,0 +1,35 @@
+// ============================================================================
+// RANDOM - Single PRNG for every simulation draw (?seed= makes runs repeatable)
+// ============================================================================
+
+// Unseeded by default; seedRandom() swaps in a deterministic generator
+export let random = Math.random
+
+export function randomRange(min, max) {
+    return min + random() * (max - min)
+}
+
+export function seedRandom(seed) {
+    random = createRandom(seed)
+    if (seed !== '') console.log(`🎲 Seeded simulation: "${seed}"`)
+}
+
+// A generator of its own: mulberry32 over a 32-bit FNV-1a hash of the seed
+// string, or Math.random for an empty seed. Text-side choices (prompts,
+// context) use one so their network-timed draws never shift the simulation's.
+export function createRandom(seed) {
+    if (seed === '') return Math.random
+
+    let state = 0x811c9dc5
+    for (let i = 0; i < seed.length; i++) {
+        state ^= seed.charCodeAt(i)
+        state = Math.imul(state, 0x01000193)
+    }
+
+    return () => {
+        state = (state + 0x6d2b79f5) | 0
+        let t = Math.imul(state ^ (state >>> 15), 1 | state)
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+    }
+}
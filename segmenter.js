@@ -0,0 +1,130 @@
+// ============================================================================
+// SEGMENTER - Cut the word stream into sentences for the burst queue
+// ============================================================================
+//
+// Words arrive one at a time. A word ends the sentence when, with closing
+// quotes and brackets set aside, it ends in . ! ? or an ellipsis - unless:
+//   abbreviation -> "Dr.", "etc.", dotted forms ("e.g.", "U.S."), initials like "J."
+//                   (not "I." or "A.", which are words too)
+//   open quote   -> a " “ ( or [ is still open ("done." closes and ends)
+//   ellipsis     -> "..." / "…" only ends one with ellipsis: 'end'
+// Runaway text is flushed at maxWords, and a sentence left unfinished for
+// `timeout` ms is flushed by poll(). Pure module: no config, DOM or model.
+
+// Words that also end sentences ("us.", "no.", "am.") are left out on purpose;
+// dotted forms like "U.S." and "a.m." are caught by their inner dots
+export const ABBREVIATIONS = new Set([
+    'mr', 'mrs', 'ms', 'dr', 'prof', 'sr', 'jr', 'st', 'mt', 'ft', 'vs', 'etc', 'cf', 'al',
+    'vol', 'approx', 'dept', 'inc', 'ltd', 'corp', 'gov', 'capt', 'lt', 'sgt', 'jan', 'feb',
+    'apr', 'jun', 'jul', 'aug', 'sep', 'sept', 'oct', 'nov'
+])
+
+const CLOSERS = /["'”’»)\]}]+$/
+const ELLIPSIS = /(\.\.\.|…)$/
+const DOTTED = /^(\p{L}\.){2,}$/u // e.g. "U.S." or "e.g."
+const INITIAL = /^\p{Lu}\.$/u // e.g. "J." - but see WORD_INITIALS
+const WORD_INITIALS = new Set(['I.', 'A.']) // Also whole words, so they end sentences
+const OPENERS = { '(': ')', '[': ']', '“': '”' }
+const STRAIGHT_QUOTE = '"'
+
+export const DEFAULT_SEGMENTER_OPTIONS = {
+    maxWords: 30, // Flush a sentence this long even without an ending
+    timeout: 8000, // ms an unfinished sentence may wait; 0 disables
+    ellipsis: 'end', // 'end' or 'continue'
+    abbreviations: [] // Extra abbreviations, without the dot
+}
+
+export class SentenceSegmenter {
+    constructor(options = {}) {
+        this.onFlush = null // Called at every boundary with the sentence, null if no words were kept
+        this.configure(options)
+        this.reset()
+    }
+
+    configure(options) {
+        this.options = { ...DEFAULT_SEGMENTER_OPTIONS, ...options }
+        this.abbreviations = new Set([
+            ...ABBREVIATIONS,
+            ...this.options.abbreviations.map(word => word.toLowerCase().replace(/\./g, ''))
+        ])
+    }
+
+    reset() {
+        this.words = []
+        this.open = [] // Closers still expected, innermost last
+        this.startedAt = null
+    }
+
+    get size() {
+        return this.words.length
+    }
+
+    // Add a word (any value - null for one the filter skipped) and judge the
+    // boundary on `text`, so a skipped "cup." still ends its sentence.
+    // Returns the finished sentence or null.
+    push(word, text = word, now = Date.now()) {
+        if (word) {
+            if (this.words.length === 0) this.startedAt = now
+            this.words.push(word)
+        }
+        if (!text) return null
+
+        this.trackQuotes(text)
+        if (this.words.length >= this.options.maxWords) return this.flush()
+        return this.endsSentence(text) ? this.flush() : null
+    }
+
+    // Timeout flush for a stream that stalled mid-sentence
+    poll(now = Date.now()) {
+        const { timeout } = this.options
+        if (timeout <= 0 || this.words.length === 0 || now - this.startedAt < timeout) return null
+        return this.flush()
+    }
+
+    flush() {
+        const sentence = this.words.length > 0 ? this.words : null
+        this.reset()
+        this.onFlush?.(sentence)
+        return sentence
+    }
+
+    endsSentence(text) {
+        if (this.open.length > 0) return false
+
+        const bare = text.replace(CLOSERS, '')
+        if (ELLIPSIS.test(bare)) return this.options.ellipsis === 'end'
+        if (/[!?]$/.test(bare)) return true
+        if (!bare.endsWith('.')) return false
+
+        if (DOTTED.test(bare)) return false
+        if (INITIAL.test(bare) && !WORD_INITIALS.has(bare)) return false
+        const core = bare.toLowerCase().replace(/[^\p{L}\p{N}]/gu, '')
+        return !this.abbreviations.has(core)
+    }
+
+    trackQuotes(text) {
+        const chars = [...text]
+        chars.forEach((char, i) => {
+            if (OPENERS[char]) {
+                this.open.push(OPENERS[char])
+            } else if (char === STRAIGHT_QUOTE) {
+                // A straight quote opens at the start of a word and closes after text
+                const opening = chars.slice(0, i).every(before => OPENERS[before] || before === STRAIGHT_QUOTE)
+                if (opening) this.open.push(STRAIGHT_QUOTE)
+                else if (this.open.includes(STRAIGHT_QUOTE)) this.open.length = this.open.lastIndexOf(STRAIGHT_QUOTE)
+            } else if (this.open.includes(char)) {
+                // Close up to the matching opener, forgiving unclosed inner ones
+                this.open.length = this.open.lastIndexOf(char)
+            }
+        })
+    }
+}
+
+export function segmenterOptionsFromConfig(config) {
+    return {
+        maxWords: config.segmenterMaxWords,
+        timeout: config.segmenterTimeout,
+        ellipsis: config.segmenterEllipsis,
+        abbreviations: config.segmenterAbbreviations
+    }
+}
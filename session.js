@@ -0,0 +1,229 @@
+// ============================================================================
+// SESSION - Record a run as a timeline and play it back without a model
+// ============================================================================
+//
+// A recording is { version, recordedAt, duration, events }, each event
+// { t, type, ... } with t in ms of simulation time from the start:
+//   prompt -> { display }               prompt chosen
+//   text   -> { text, origin }          text handed to StreamManager.addToQueue
+//   burst  -> { name, direction }       burst started by the ocean
+//   center -> { x, y }                  gravity center moved
+//   throw  -> { char, x, y, vx, vy }    letter released from a drag
+// Playback feeds text back through StreamManager and hands the ocean its
+// bursts (choreography and direction) at their recorded times. Speed scales
+// the timeline; letter physics still run in real time.
+
+export const RECORDING_VERSION = 1
+const MAX_EVENTS = 200000 // Several hours of streaming; recording stops there
+
+const round = (value) => Math.round(value * 100) / 100
+
+// Payload of each event type, checked when a recording is loaded
+const EVENT_FIELDS = {
+    prompt: { display: 'string' },
+    text: { text: 'string', origin: 'string' },
+    burst: { name: 'string', direction: 'number' },
+    center: { x: 'number', y: 'number' },
+    throw: { char: 'string', x: 'number', y: 'number', vx: 'number', vy: 'number' }
+}
+
+export class SessionRecorder {
+    constructor() {
+        this.events = []
+        this.recording = false
+        this.startedAt = 0
+        this.recordedAt = null
+        // ms; the sketch swaps in its simulation clock, the one playback runs on
+        this.clock = () => performance.now()
+    }
+
+    start(now = this.clock()) {
+        this.events = []
+        this.recording = true
+        this.startedAt = now
+        this.recordedAt = new Date().toISOString()
+        console.log('⏺️  Recording session')
+    }
+
+    stop() {
+        if (!this.recording) return
+        this.recording = false
+        console.log(`⏹️  Recorded ${this.events.length} events`)
+    }
+
+    record(type, data, now = this.clock()) {
+        if (!this.recording) return
+        this.events.push({ t: Math.round(now - this.startedAt), type, ...data })
+        if (this.events.length >= MAX_EVENTS) {
+            console.warn(`⏺️  Recording reached ${MAX_EVENTS} events, stopping`)
+            this.stop()
+        }
+    }
+
+    // Numbers rounded to keep the file small
+    recordBurst({ name, direction }) {
+        this.record('burst', { name, direction: round(direction) })
+    }
+
+    recordCenter(x, y) {
+        this.record('center', { x: round(x), y: round(y) })
+    }
+
+    recordThrow(letter) {
+        this.record('throw', {
+            char: letter.char,
+            x: round(letter.pos.x),
+            y: round(letter.pos.y),
+            vx: round(letter.vel.x),
+            vy: round(letter.vel.y)
+        })
+    }
+
+    toJSON() {
+        return {
+            version: RECORDING_VERSION,
+            recordedAt: this.recordedAt,
+            duration: this.events.length > 0 ? this.events[this.events.length - 1].t : 0,
+            events: this.events
+        }
+    }
+}
+
+// Throws with the first problem found, so a broken file is refused on load
+// instead of failing mid-replay
+export function validateRecording(data) {
+    if (data?.version !== RECORDING_VERSION || !Array.isArray(data.events)) {
+        throw new Error(`Not a version ${RECORDING_VERSION} session recording`)
+    }
+
+    let previous = 0
+    data.events.forEach((event, i) => {
+        const fields = EVENT_FIELDS[event?.type]
+        if (!fields) throw new Error(`Recording event ${i}: unknown type "${event?.type}"`)
+        if (!Number.isFinite(event.t) || event.t < previous) {
+            throw new Error(`Recording event ${i}: t must be a time in ms, not before the previous event`)
+        }
+        previous = event.t
+        for (const [key, type] of Object.entries(fields)) {
+            const valid = type === 'number' ? Number.isFinite(event[key]) : typeof event[key] === type
+            if (!valid) throw new Error(`Recording event ${i} (${event.type}): ${key} must be a ${type}`)
+        }
+    })
+    if (!Number.isFinite(data.duration)) throw new Error('Recording duration must be a number')
+    return data
+}
+
+export class SessionPlayer {
+    // `manager` is the StreamManager and `ocean` the Ocean to drive
+    constructor(recording, { manager, ocean, onEnd = null }) {
+        this.recording = validateRecording(recording)
+        this.events = recording.events
+        this.duration = recording.duration
+        this.manager = manager
+        this.ocean = ocean
+        this.onEnd = onEnd
+
+        this.playhead = 0 // ms into the recording
+        this.index = 0 // Next event to dispatch
+        this.speed = 1
+        this.playing = false
+        this.lastUpdate = null
+    }
+
+    play() {
+        this.playing = true
+        this.lastUpdate = null
+        // The ocean now waits for recorded bursts instead of choosing its own
+        if (!this.ocean.scriptedBursts) this.ocean.scriptedBursts = []
+    }
+
+    pause() {
+        this.playing = false
+    }
+
+    setSpeed(speed) {
+        this.speed = Math.max(0.1, Math.min(16, speed))
+    }
+
+    // Jump to `ms`: queued text and pending bursts are dropped and the
+    // timeline resumes from there, with the gravity center where it was
+    seek(ms) {
+        this.playhead = Math.max(0, Math.min(this.duration, ms))
+        this.index = this.events.findIndex(event => event.t >= this.playhead)
+        if (this.index < 0) this.index = this.events.length
+
+        this.manager.clearQueue()
+        this.ocean.currentBurst = []
+        if (this.ocean.scriptedBursts) this.ocean.scriptedBursts = []
+
+        const center = this.events.slice(0, this.index).reverse().find(event => event.type === 'center')
+        if (center) this.dispatch(center)
+        this.lastUpdate = null
+    }
+
+    // Advance by the clock time since the last call (the sketch's simulation
+    // clock, as recorded); call once per frame
+    update(now) {
+        if (!this.playing) return
+        const elapsed = this.lastUpdate === null ? 0 : now - this.lastUpdate
+        this.lastUpdate = now
+        this.playhead += elapsed * this.speed
+
+        while (this.index < this.events.length && this.events[this.index].t <= this.playhead) {
+            this.dispatch(this.events[this.index++])
+        }
+        if (this.index >= this.events.length) {
+            this.playing = false
+            console.log('⏏️  Replay finished')
+            this.onEnd?.()
+        }
+    }
+
+    dispatch(event) {
+        switch (event.type) {
+            case 'prompt':
+                console.log(`▶️  Prompt: "${event.display}"`)
+                break
+            case 'text':
+                this.manager.addToQueue(event.text, event.origin)
+                break
+            case 'burst':
+                this.ocean.scriptedBursts?.push({ name: event.name, direction: event.direction })
+                break
+            case 'center':
+                this.ocean.centerX = event.x
+                this.ocean.centerY = event.y
+                break
+            case 'throw':
+                this.throwLetter(event)
+                break
+        }
+    }
+
+    // Throw the nearest free letter with the same glyph
+    throwLetter({ char, x, y, vx, vy }) {
+        let nearest = null
+        let nearestDistSq = Infinity
+        for (const letter of this.ocean.lettersByChar.get(char) ?? []) {
+            if (letter.recruited || letter.retiring) continue
+            const distSq = (letter.pos.x - x) ** 2 + (letter.pos.y - y) ** 2
+            if (distSq < nearestDistSq) {
+                nearestDistSq = distSq
+                nearest = letter
+            }
+        }
+        if (!nearest) return
+        nearest.pos.set(x, y)
+        nearest.vel.set(vx, vy)
+    }
+
+    stats() {
+        return {
+            playing: this.playing,
+            playhead: Math.round(this.playhead),
+            duration: this.duration,
+            speed: this.speed,
+            events: `${this.index}/${this.events.length}`
+        }
+    }
+}
@@ -0,0 +1,1314 @@
+// ============================================================================
+// SIMULATION - Headless letter ocean (no p5, no DOM)
+// ============================================================================
+//
+// Letters, quadtree, forces, word recruitment and burst scheduling. Steps in
+// Node as happily as in the browser; the p5 sketch in app.js is just one
+// renderer reading Ocean state each frame.
+
+import { config } from './config.js'
+import { random, randomRange } from './random.js'
+import { FieldSet } from './fields.js'
+
+// ============================================================================
+// VECTOR - Minimal 2D vector (the subset of p5.Vector the physics uses)
+// ============================================================================
+
+export class Vec2 {
+    constructor(x = 0, y = 0) {
+        this.x = x
+        this.y = y
+    }
+
+    set(x, y) {
+        this.x = x
+        this.y = y
+        return this
+    }
+
+    copy() {
+        return new Vec2(this.x, this.y)
+    }
+
+    add(v) {
+        this.x += v.x
+        this.y += v.y
+        return this
+    }
+
+    sub(v) {
+        this.x -= v.x
+        this.y -= v.y
+        return this
+    }
+
+    mult(n) {
+        this.x *= n
+        this.y *= n
+        return this
+    }
+
+    div(n) {
+        this.x /= n
+        this.y /= n
+        return this
+    }
+
+    magSq() {
+        return this.x * this.x + this.y * this.y
+    }
+
+    mag() {
+        return Math.sqrt(this.magSq())
+    }
+
+    setMag(n) {
+        const m = this.mag()
+        if (m > 0) this.mult(n / m)
+        return this
+    }
+
+    limit(max) {
+        const mSq = this.magSq()
+        if (mSq > max * max) this.mult(max / Math.sqrt(mSq))
+        return this
+    }
+
+    static sub(a, b) {
+        return new Vec2(a.x - b.x, a.y - b.y)
+    }
+
+    static dist(a, b) {
+        return Math.hypot(a.x - b.x, a.y - b.y)
+    }
+}
+
+// ============================================================================
+// QUADTREE - Spatial partitioning for efficient neighbor queries
+// ============================================================================
+
+export class Rectangle {
+    constructor(x, y, w, h) {
+        this.x = x      // Center x
+        this.y = y      // Center y
+        this.w = w      // Half width
+        this.h = h      // Half height
+    }
+
+    contains(point) {
+        return (
+            point.pos.x >= this.x - this.w &&
+            point.pos.x < this.x + this.w &&
+            point.pos.y >= this.y - this.h &&
+            point.pos.y < this.y + this.h
+        )
+    }
+
+    intersects(range) {
+        return !(
+            range.x - range.w > this.x + this.w ||
+            range.x + range.w < this.x - this.w ||
+            range.y - range.h > this.y + this.h ||
+            range.y + range.h < this.y - this.h
+        )
+    }
+}
+
+export class Quadtree {
+    constructor(boundary) {
+        this.boundary = boundary
+        this.points = []
+        this.divided = false
+        this.northeast = null
+        this.northwest = null
+        this.southeast = null
+        this.southwest = null
+    }
+
+    subdivide() {
+        const x = this.boundary.x
+        const y = this.boundary.y
+        const w = this.boundary.w / 2
+        const h = this.boundary.h / 2
+
+        this.northeast = new Quadtree(new Rectangle(x + w, y - h, w, h))
+        this.northwest = new Quadtree(new Rectangle(x - w, y - h, w, h))
+        this.southeast = new Quadtree(new Rectangle(x + w, y + h, w, h))
+        this.southwest = new Quadtree(new Rectangle(x - w, y + h, w, h))
+        this.divided = true
+    }
+
+    insert(point) {
+        if (!this.boundary.contains(point)) {
+            return false
+        }
+
+        if (this.points.length < config.quadtreeCapacity && !this.divided) {
+            this.points.push(point)
+            return true
+        }
+
+        if (!this.divided) {
+            this.subdivide()
+            // Re-insert existing points into children
+            for (const p of this.points) {
+                this.northeast.insert(p) ||
+                this.northwest.insert(p) ||
+                this.southeast.insert(p) ||
+                this.southwest.insert(p)
+            }
+            this.points = []
+        }
+
+        return (
+            this.northeast.insert(point) ||
+            this.northwest.insert(point) ||
+            this.southeast.insert(point) ||
+            this.southwest.insert(point)
+        )
+    }
+
+    query(range, found = []) {
+        if (!this.boundary.intersects(range)) {
+            return found
+        }
+
+        for (const p of this.points) {
+            if (range.contains(p)) {
+                found.push(p)
+            }
+        }
+
+        if (this.divided) {
+            this.northeast.query(range, found)
+            this.northwest.query(range, found)
+            this.southeast.query(range, found)
+            this.southwest.query(range, found)
+        }
+
+        return found
+    }
+}
+
+// ============================================================================
+// LETTER CLASS - Physics-based letter particle
+// ============================================================================
+
+export class Letter {
+    constructor(char, x, y) {
+        this.char = char
+
+        // Visual properties
+        this.size = config.letterSize
+        this.alpha = 255
+
+        // Linear physics
+        this.pos = new Vec2(x, y)
+        this.vel = new Vec2(randomRange(-0.5, 0.5), randomRange(-0.5, 0.5))
+        this.acc = new Vec2(0, 0)
+        this.maxForce = 0.2
+        this.mass = 1
+
+        // Rotational physics
+        this.angle = random() * Math.PI * 2
+        this.angularVel = randomRange(-0.1, 0.1)
+        this.angularAcc = 0
+        this.radius = this.size / 2
+        this.momentOfInertia = this.mass * this.radius * this.radius
+
+        // Pool state (see LETTER POOL)
+        this.fadingIn = false
+        this.retiring = false
+
+        // Word formation state
+        this.recruited = false
+        this.targetPos = null
+        this.targetIndex = -1
+        this.wordId = null
+        this.word = null  // Direct reference to WordFormation for orientation lookup
+        this.dragging = false
+
+        // Pre-allocated vectors for physics calculations (reused each frame)
+        this._repulsionForce = new Vec2(0, 0)
+        this._attractionForce = new Vec2(0, 0)
+    }
+
+    applyForce(force) {
+        const f = force.copy().div(this.mass)
+        this.acc.add(f)
+    }
+
+    applyTorque(torque) {
+        this.angularAcc += torque / this.momentOfInertia
+    }
+
+    // Combined repulsion + attraction in single loop using squared distances
+    // Use quadtree to find nearby particles efficiently
+    applyNeighborForces(quadtree) {
+        if (this.dragging) return
+
+        // Query quadtree for particles within attraction range (the larger range)
+        const attractionMax = config.attractionMax
+        const queryRange = new Rectangle(
+            this.pos.x, this.pos.y,
+            attractionMax, attractionMax
+        )
+        const neighbors = quadtree.query(queryRange)
+
+        // Reuse pre-allocated vectors (reset to zero)
+        const repulsionForce = this._repulsionForce.set(0, 0)
+        const attractionForce = this._attractionForce.set(0, 0)
+        let repulsionCount = 0
+        let attractionCount = 0
+
+        // Read tuning once per letter rather than per neighbor
+        const repulsionRadiusSq = config.repulsionRadius * config.repulsionRadius
+        const repulsionStrength = config.repulsionStrength
+        const attractionMinSq = config.attractionMin * config.attractionMin
+        const attractionMaxSq = attractionMax * attractionMax
+        const attractionStrength = config.attractionStrength
+        const collisionThresholdSq = config.collisionSpeedThreshold * config.collisionSpeedThreshold
+        const collisionSpinFactor = config.collisionSpinFactor
+
+        for (const other of neighbors) {
+            if (other === this) continue
+
+            // Calculate squared distance first (no sqrt)
+            const dx = this.pos.x - other.pos.x
+            const dy = this.pos.y - other.pos.y
+            const dSq = dx * dx + dy * dy
+
+            // Repulsion check (close range)
+            if (dSq > 0 && dSq < repulsionRadiusSq) {
+                const d = Math.sqrt(dSq)  // Only compute sqrt when needed
+                const forceMag = repulsionStrength / d
+                // Normalize by dividing by d
+                repulsionForce.x += (dx / d) * forceMag
+                repulsionForce.y += (dy / d) * forceMag
+
+                // Apply collision torque
+                const relVelX = this.vel.x - other.vel.x
+                const relVelY = this.vel.y - other.vel.y
+                const impactSpeedSq = relVelX * relVelX + relVelY * relVelY
+
+                if (impactSpeedSq > collisionThresholdSq) {
+                    const impactSpeed = Math.sqrt(impactSpeedSq)
+                    const spinDiff = other.angularVel - this.angularVel
+
+                    const transferFactor = impactSpeed * 0.12
+                    const spinTransfer = spinDiff * transferFactor
+                    const impactRandomSpin = (random() - 0.5) * impactSpeed * collisionSpinFactor * 1.5
+                    const spinSimilarity = 1.0 / (1.0 + Math.abs(spinDiff) * 5)
+                    const similarityBonus = (random() - 0.5) * impactSpeed * collisionSpinFactor * spinSimilarity
+
+                    this.applyTorque(spinTransfer + impactRandomSpin + similarityBonus)
+                }
+
+                repulsionCount++
+            }
+            // Attraction check (medium range) - note: uses opposite direction
+            else if (dSq > attractionMinSq && dSq < attractionMaxSq) {
+                const d = Math.sqrt(dSq)
+                // Attraction goes toward other (negative dx/dy direction)
+                attractionForce.x += (-dx / d) * attractionStrength
+                attractionForce.y += (-dy / d) * attractionStrength
+                attractionCount++
+            }
+        }
+
+        if (repulsionCount > 0) {
+            repulsionForce.div(repulsionCount)
+            this.applyForce(repulsionForce)
+        }
+        if (attractionCount > 0) {
+            attractionForce.div(attractionCount)
+            this.applyForce(attractionForce)
+        }
+    }
+
+    gravitate(centerX, centerY) {
+        if (this.dragging) return
+
+        // Inline math to avoid vector allocations
+        const dx = centerX - this.pos.x
+        const dy = centerY - this.pos.y
+        const distSq = dx * dx + dy * dy
+
+        if (distSq > 0) {
+            const dist = Math.sqrt(distSq)
+            // Normalize and apply gravity strength (mass is 1, so skip division)
+            this.acc.x += (dx / dist) * config.gravityStrength
+            this.acc.y += (dy / dist) * config.gravityStrength
+        }
+    }
+
+    swim(wordDirection = null) {
+        if (this.recruited && this.targetPos) {
+            const desired = Vec2.sub(this.targetPos, this.pos)
+            const d = desired.mag()
+
+            let speed = config.maxLetterSpeed * 2
+            if (d < 100) {
+                speed = (d / 100) * speed
+            }
+
+            desired.setMag(speed)
+            const steer = Vec2.sub(desired, this.vel).limit(this.maxForce * 4)
+            this.applyForce(steer)
+
+            // Align rotation with word direction
+            if (wordDirection !== null) {
+                let angleDiff = wordDirection - this.angle
+                while (angleDiff > Math.PI) angleDiff -= Math.PI * 2
+                while (angleDiff < -Math.PI) angleDiff += Math.PI * 2
+                this.applyTorque(angleDiff * 0.15)
+                this.angularVel *= 0.9
+            }
+        }
+    }
+
+    update() {
+        // Linear motion
+        if (!this.dragging) {
+            this.vel.add(this.acc)
+
+            // Soft speed limit - use squared magnitude to avoid sqrt
+            const maxSpeed = config.maxLetterSpeed
+            const currentSpeedSq = this.vel.magSq()
+            if (currentSpeedSq > maxSpeed * maxSpeed) {
+                // Only compute actual speed when we need to modify velocity
+                const currentSpeed = Math.sqrt(currentSpeedSq)
+                const excess = currentSpeed - maxSpeed
+                const newSpeed = currentSpeed - excess * config.speedDeceleration
+                this.vel.setMag(newSpeed)
+            }
+
+            this.pos.add(this.vel)
+        }
+
+        this.acc.mult(0)
+
+        // Rotational motion
+        this.angularVel += this.angularAcc
+        if (!this.recruited) {
+            this.angularVel += randomRange(-config.spinNoise, config.spinNoise)
+        }
+        this.angle += this.angularVel
+        this.angularAcc = 0
+    }
+}
+
+// ============================================================================
+// GLYPHS - Which characters the ocean holds (config.glyphSets)
+// ============================================================================
+
+export const GLYPH_SETS = {
+    latin: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ',
+    digits: '0123456789',
+    punctuation: '.,!?;:\'"-()&',
+    latin1: 'ÀÁÂÃÄÅÆÇÈÉÊËÌÍÎÏÑÒÓÔÕÖØÙÚÛÜÝ',
+    greek: 'ΑΒΓΔΕΖΗΘΙΚΛΜΝΞΟΠΡΣΤΥΦΧΨΩ',
+    cyrillic: 'АБВГДЕЁЖЗИЙКЛМНОПРСТУФХЦЧШЩЪЫЬЭЮЯ'
+}
+
+// Typographic variants that should recruit the plain glyph
+const GLYPH_ALIASES = { '’': "'", '‘': "'", '“': '"', '”': '"', '–': '-', '—': '-' }
+
+// Every glyph in the configured sets, plus lowercase forms when case is kept
+export function buildAlphabet(sets = config.glyphSets, preserveCase = config.preserveCase) {
+    const glyphs = new Set()
+
+    for (const name of sets.split(',').map(name => name.trim()).filter(name => name)) {
+        if (!GLYPH_SETS[name]) {
+            console.warn(`Unknown glyph set "${name}"`)
+            continue
+        }
+        for (const glyph of GLYPH_SETS[name]) {
+            glyphs.add(glyph)
+            const lower = glyph.toLowerCase()
+            if (preserveCase && lower !== glyph && lower.length === 1) glyphs.add(lower)
+        }
+    }
+
+    if (glyphs.has('σ')) glyphs.add('ς') // Greek final sigma
+    return glyphs.size > 0 ? [...glyphs].join('') : GLYPH_SETS.latin
+}
+
+// Map text onto pool glyphs: compose accents, unify typographic variants,
+// and fold to uppercase unless config.preserveCase
+export function normalizeGlyphs(text, preserveCase = config.preserveCase) {
+    let normalized = ''
+    for (const char of text.normalize('NFC')) {
+        const glyph = GLYPH_ALIASES[char] ?? char
+        if (preserveCase) {
+            normalized += glyph
+            continue
+        }
+        // Some letters (ß) have no single-glyph capital, keep them as they are
+        const upper = glyph.toUpperCase()
+        normalized += upper.length === 1 ? upper : glyph
+    }
+    return normalized
+}
+
+// ============================================================================
+// WORD FORMATION CLASS - Manages recruited letters forming words
+// ============================================================================
+
+let nextWordId = 0
+
+// Size by part of speech: content words stand out, function words recede
+const POS_SIZE = { noun: 0.15, verb: 0.05, adj: 0.1, adv: 0, num: 0.05, pron: -0.1, det: -0.15, prep: -0.15, conj: -0.15, other: 0 }
+
+// Word metadata (see annotator.js) -> multipliers on letter size, opacity and
+// path speed, plus bold. Prompt-seeded words are set heavier and linger;
+// repeated machine words grow faint. config.wordStyleStrength scales it all.
+export function wordStyle(meta) {
+    const strength = config.wordStyling ? config.wordStyleStrength : 0
+    // Visitor words are always credited with an underline, styling or not
+    const credited = meta?.origin === 'visitor'
+    if (!meta || strength === 0) return { size: 1, opacity: 1, speed: 1, bold: false, credited }
+
+    const fromPrompt = meta.origin === 'prompt'
+    const size = (POS_SIZE[meta.pos] ?? 0) + Math.abs(meta.sentiment) * 0.15 + (fromPrompt || credited ? 0.1 : 0)
+    const opacity = fromPrompt ? 0 : -(1 - meta.novelty) * 0.45
+    const speed = meta.sentiment * 0.25 - (fromPrompt ? 0.3 : 0)
+
+    return {
+        size: Math.max(0.3, 1 + size * strength),
+        opacity: Math.min(1, Math.max(0.15, 1 + opacity * strength)),
+        speed: Math.max(0.2, 1 + speed * strength),
+        bold: (fromPrompt || credited) && strength > 0,
+        credited
+    }
+}
+
+export class WordFormation {
+    constructor(word, x, y, direction, style = wordStyle(null)) {
+        this.word = word // Already normalized to pool glyphs by Ocean.formWord
+        this.style = style // Drawn on recruited letters; speed scales the path
+        this.glyphCount = Array.from(word).length
+        this.id = nextWordId++
+        this.letters = []
+
+        this.pos = new Vec2(x, y)
+        this.centerX = x  // Center X for this word's trajectory
+        this.centerY = y  // Center Y for this word's trajectory
+        this.direction = direction
+        this.pathProgress = 0
+        this.currentOrientation = this.direction
+        this.launched = false
+
+        // Consistent path characteristics - same curve for all words
+        this.curveAmount = config.pathCurveAmount
+        this.curveDirection = 1  // Always curve in same direction
+        this.maxDistance = config.pathMaxDistance
+    }
+
+    update() {
+        if (this.launched) return
+
+        this.pathProgress += config.pathSpeed * this.style.speed
+
+        // Use the center position this word was created with
+        const centerX = this.centerX
+        const centerY = this.centerY
+
+        // Parametric curved path with subtle random variation
+        const t = this.pathProgress
+        const distanceFromCenter = Math.sin(t * Math.PI) * this.maxDistance
+
+        // Subtle curve that can go left or right
+        const angleOffset = t * Math.PI * this.curveAmount * this.curveDirection
+        const currentAngle = this.direction + angleOffset
+
+        this.pos.x = centerX + Math.cos(currentAngle) * distanceFromCenter
+        this.pos.y = centerY + Math.sin(currentAngle) * distanceFromCenter
+
+        // Calculate tangent direction for word orientation
+        const dr_dt = Math.PI * Math.cos(t * Math.PI) * this.maxDistance
+        const dtheta_dt = Math.PI * this.curveAmount * this.curveDirection
+        const r_dtheta = distanceFromCenter * dtheta_dt
+
+        const vx = dr_dt * Math.cos(currentAngle) - r_dtheta * Math.sin(currentAngle)
+        const vy = dr_dt * Math.sin(currentAngle) + r_dtheta * Math.cos(currentAngle)
+
+        this.currentOrientation = Math.atan2(vy, vx)
+        this.updateTargetPositions()
+    }
+
+    updateTargetPositions() {
+        const letterSpacing = config.letterSpacing
+        const wordWidth = this.glyphCount * letterSpacing
+        const startX = -wordWidth / 2
+
+        // Cache sin/cos once per word instead of per letter
+        const cos = Math.cos(this.currentOrientation)
+        const sin = Math.sin(this.currentOrientation)
+
+        for (let i = 0; i < this.letters.length; i++) {
+            const letter = this.letters[i]
+            if (letter.recruited && letter.targetIndex !== -1) {
+                const localX = startX + letter.targetIndex * letterSpacing
+                // localY is always 0, so we can simplify the rotation
+                const rotatedX = localX * cos
+                const rotatedY = localX * sin
+
+                letter.targetPos = new Vec2(this.pos.x + rotatedX, this.pos.y + rotatedY)
+            }
+        }
+    }
+
+    dissolve() {
+        if (this.launched) return
+
+        for (const letter of this.letters) {
+            letter.recruited = false
+            letter.wordId = null
+            letter.word = null
+            letter.targetPos = null
+            letter.targetIndex = -1
+            letter.vel.mult(0.3)
+        }
+        this.launched = true
+    }
+
+    shouldDissolve() {
+        return this.pathProgress >= 0.2
+    }
+}
+
+// ============================================================================
+// BURST CHOREOGRAPHIES - Named emission patterns for a sentence's words
+// ============================================================================
+//
+// A choreography turns a sentence into a burst plan:
+//   plan(words, startAngle, { wells }) -> { steps, disableGravity? }
+// where each step is { word, direction, delay?, offsetX?, offsetY?, well? }.
+// delay is ms after the previous word (defaults to config.burstWordDelay,
+// the first step defaults to 0), `well` names a force field to launch from
+// instead of the gravity center (`wells` lists them, see fields.js) and
+// offsets shift the launch point away from it. Weights come from config.burstWeight<Name> when the
+// schema has one, otherwise from the registered default.
+
+const burstChoreographies = new Map()
+const GOLDEN_ANGLE = Math.PI * (3 - Math.sqrt(5))
+
+export function registerChoreography(name, { weight = 0, minWords = 1, plan }) {
+    burstChoreographies.set(name, { name, weight, minWords, plan })
+}
+
+function choreographyWeight(choreography) {
+    const key = 'burstWeight' + choreography.name[0].toUpperCase() + choreography.name.slice(1)
+    return config[key] ?? choreography.weight
+}
+
+// Pick a choreography by weight among those that fit this many words
+function pickChoreography(wordCount) {
+    const eligible = [...burstChoreographies.values()]
+        .filter(choreography => wordCount >= choreography.minWords)
+        .map(choreography => [choreography, choreographyWeight(choreography)])
+    const totalWeight = eligible.reduce((sum, [, weight]) => sum + weight, 0)
+
+    // Every weight zero: fall back to the original organic scatter
+    if (totalWeight <= 0) return burstChoreographies.get('organic')
+
+    let roll = random() * totalWeight
+    for (const [choreography, weight] of eligible) {
+        if (roll < weight) return choreography
+        roll -= weight
+    }
+    return eligible[eligible.length - 1][0]
+}
+
+// `preferred` names a choreography to use instead of a weighted pick when it
+// exists and fits the sentence (prompts can ask for one); `context` is handed
+// to the plan
+export function planBurst(words, startAngle, preferred = null, context = { wells: [] }) {
+    const requested = preferred && burstChoreographies.get(preferred.toLowerCase())
+    if (preferred && !requested) console.warn(`Unknown burst mode "${preferred}"`)
+    const choreography = requested && words.length >= requested.minWords
+        ? requested
+        : pickChoreography(words.length)
+    const plan = choreography.plan(words, startAngle, context)
+    return { name: choreography.name, disableGravity: false, ...plan }
+}
+
+// Give each step its word's annotation. Choreographies may reorder words,
+// so match by word, in order for repeats
+function attachMeta(steps, words, meta) {
+    const byWord = new Map()
+    words.forEach((word, i) => {
+        if (!byWord.has(word)) byWord.set(word, [])
+        byWord.get(word).push(meta[i])
+    })
+    for (const step of steps) {
+        step.meta = byWord.get(step.word)?.shift() ?? null
+    }
+}
+
+// Evenly spaced directions around the circle, each nudged by up to
+// `variation` of the spacing either way
+function scatterDirections(count, startAngle, variation) {
+    const spacing = (Math.PI * 2) / count
+    return Array.from({ length: count }, (_, i) =>
+        startAngle + i * spacing + (random() - 0.5) * spacing * variation
+    )
+}
+
+// Organic scatter mode (original behavior)
+registerChoreography('organic', {
+    weight: 50,
+    plan: (words, startAngle) => {
+        const directions = scatterDirections(words.length, startAngle, 2.0)
+        return { steps: words.map((word, i) => ({ word, direction: directions[i] })) }
+    }
+})
+
+// Perfect 4-way symmetry (90 degrees apart, no randomness)
+registerChoreography('symmetrical', {
+    weight: 10,
+    minWords: 4,
+    plan: (words, startAngle) => ({
+        steps: words.slice(0, 4).map((word, i) => ({
+            word,
+            direction: startAngle + i * Math.PI / 2
+        }))
+    })
+})
+
+// Organic scatter with gravity disabled for the whole burst
+registerChoreography('zerogravity', {
+    weight: 5,
+    plan: (words, startAngle) => {
+        const directions = scatterDirections(words.length, startAngle, 2.0)
+        return {
+            steps: words.map((word, i) => ({ word, direction: directions[i] })),
+            disableGravity: true
+        }
+    }
+})
+
+// All words in approximately same direction (30 degree cone)
+registerChoreography('directional', {
+    weight: 35,
+    plan: (words, startAngle) => {
+        const coneAngle = Math.PI / 6
+        return {
+            steps: words.map(word => ({
+                word,
+                direction: startAngle + (random() - 0.5) * coneAngle
+            }))
+        }
+    }
+})
+
+// Golden-angle spiral, launch points winding outward and speeding up
+registerChoreography('spiral', {
+    minWords: 3,
+    plan: (words, startAngle) => ({
+        steps: words.map((word, i) => {
+            const direction = startAngle + i * GOLDEN_ANGLE
+            const radius = 25 * i
+            return {
+                word,
+                direction,
+                delay: i === 0 ? 0 : config.burstWordDelay * Math.max(0.25, 1 - i * 0.1),
+                offsetX: Math.cos(direction) * radius,
+                offsetY: Math.sin(direction) * radius
+            }
+        })
+    })
+})
+
+// Every word at once from points on a small ring
+registerChoreography('ring', {
+    minWords: 3,
+    plan: (words, startAngle) => {
+        const spacing = (Math.PI * 2) / words.length
+        const radius = 60
+        return {
+            steps: words.map((word, i) => {
+                const direction = startAngle + i * spacing
+                return {
+                    word,
+                    direction,
+                    delay: i === 0 ? 0 : 150,
+                    offsetX: Math.cos(direction) * radius,
+                    offsetY: Math.sin(direction) * radius
+                }
+            })
+        }
+    }
+})
+
+// Rapid stream in one direction, launch points stepping sideways like a waterfall
+registerChoreography('cascade', {
+    minWords: 2,
+    plan: (words, startAngle) => {
+        const sideX = Math.cos(startAngle + Math.PI / 2)
+        const sideY = Math.sin(startAngle + Math.PI / 2)
+        const centerIndex = (words.length - 1) / 2
+        return {
+            steps: words.map((word, i) => ({
+                word,
+                direction: startAngle,
+                delay: i === 0 ? 0 : config.burstWordDelay / 4,
+                offsetX: sideX * (i - centerIndex) * 30,
+                offsetY: sideY * (i - centerIndex) * 30
+            }))
+        }
+    }
+})
+
+// Words in pairs flying in opposite directions at the same moment
+registerChoreography('mirror', {
+    minWords: 2,
+    plan: (words, startAngle) => ({
+        steps: words.map((word, i) => {
+            const pair = Math.floor(i / 2)
+            const pairAngle = startAngle + pair * (Math.PI / 5)
+            return {
+                word,
+                direction: i % 2 === 0 ? pairAngle : pairAngle + Math.PI,
+                delay: i === 0 ? 0 : i % 2 === 1 ? 0 : config.burstWordDelay
+            }
+        })
+    })
+})
+
+// Words take turns launching from each well, directions a golden angle apart;
+// with no wells, an organic scatter from the center
+registerChoreography('wells', {
+    plan: (words, startAngle, { wells }) => {
+        if (wells.length === 0) return burstChoreographies.get('organic').plan(words, startAngle)
+        return {
+            steps: words.map((word, i) => ({
+                word,
+                direction: startAngle + i * GOLDEN_ANGLE,
+                well: wells[i % wells.length]
+            }))
+        }
+    }
+})
+
+// ============================================================================
+// LETTER POOL - Sizes each character bucket to match the text's letter mix
+// ============================================================================
+//
+// Targets come from English letter frequency or a rolling histogram of the
+// generated text (config.poolFrequencySource). Every rebalance interval the
+// pool spawns one letter of the most under-supplied character at a screen
+// edge and retires one free letter of the most over-supplied character from
+// near an edge, so the ocean drifts toward the right mix without popping.
+
+// Percent of letters in typical English prose, plus rough rates for the
+// digits and punctuation glyph sets relative to that
+const ENGLISH_FREQUENCY = {
+    E: 12.7, T: 9.06, A: 8.17, O: 7.51, I: 6.97, N: 6.75, S: 6.33, H: 6.09, R: 5.99,
+    D: 4.25, L: 4.03, C: 2.78, U: 2.76, M: 2.41, W: 2.36, F: 2.23, G: 2.02, Y: 1.97,
+    P: 1.93, B: 1.29, V: 0.98, K: 0.77, J: 0.15, X: 0.15, Q: 0.10, Z: 0.07,
+    '.': 1.2, ',': 1.2, "'": 0.5, '-': 0.3, '!': 0.2, '?': 0.2, '"': 0.2
+}
+const DIGIT_FREQUENCY = 0.3
+const DEFAULT_FREQUENCY = 0.5 // For glyphs missing from the table (accents, other scripts)
+const UPPERCASE_SHARE = 0.05 // Of a letter's frequency, when config.preserveCase splits the buckets
+function baseFrequency(char) {
+    const upper = char.toUpperCase()
+    const value = ENGLISH_FREQUENCY[upper] ?? (/[0-9]/.test(char) ? DIGIT_FREQUENCY : DEFAULT_FREQUENCY)
+    if (upper === char.toLowerCase()) return value // Uncased glyph
+    if (!config.preserveCase) return value
+    return char === upper ? value * UPPERCASE_SHARE : value * (1 - UPPERCASE_SHARE)
+}
+
+const HISTOGRAM_PRIOR = 200 // Pseudo-count of English letters blended into the text histogram
+const HISTOGRAM_DECAY = 0.9995 // Per observed character, so old text fades out
+const HISTOGRAM_RESCALE = 1e-6 // Fold the decay scale into the counts once it gets this small
+const DROP_WINDOW = 100 // Words in the rolling dropped-character metric
+const FADE_STEP = 8 // Alpha change per frame when spawning or retiring
+
+export class LetterPool {
+    constructor(ocean) {
+        this.ocean = ocean
+        this.histogram = new Map() // char -> decayed count, divided by histogramScale
+        this.histogramScale = 1 // Decay so far, applied on read instead of to every entry
+        this.histogramTotal = 0
+        this.lastRebalance = 0
+
+        // Dropped-character metric
+        this.wordsFormed = 0
+        this.charsDropped = 0
+        this.recentDrops = [] // Dropped count for each of the last DROP_WINDOW words
+        this.droppedByChar = new Map()
+    }
+
+    // Feed generated text into the rolling histogram. Only kept while it is
+    // the target source; switching to it starts from the English prior.
+    observe(text) {
+        if (config.poolFrequencySource !== 'text') return
+        for (const char of normalizeGlyphs(text)) {
+            if (!this.ocean.lettersByChar.has(char)) continue
+            this.histogramScale *= HISTOGRAM_DECAY
+            this.histogramTotal = this.histogramTotal * HISTOGRAM_DECAY + 1
+            this.histogram.set(char, (this.histogram.get(char) ?? 0) + 1 / this.histogramScale)
+            if (this.histogramScale < HISTOGRAM_RESCALE) this.rescaleHistogram()
+        }
+    }
+
+    // Apply the accumulated decay to every count before 1 / scale grows too large
+    rescaleHistogram() {
+        for (const [char, count] of this.histogram) {
+            this.histogram.set(char, count * this.histogramScale)
+        }
+        this.histogramScale = 1
+    }
+
+    histogramCount(char) {
+        return (this.histogram.get(char) ?? 0) * this.histogramScale
+    }
+
+    // Normalized target share per character
+    frequencies() {
+        const alphabet = this.ocean.alphabet
+        const english = new Map()
+        let englishTotal = 0
+        for (const char of alphabet) {
+            const value = baseFrequency(char)
+            english.set(char, value)
+            englishTotal += value
+        }
+
+        const useText = config.poolFrequencySource === 'text'
+        const shares = new Map()
+        for (const char of alphabet) {
+            const englishShare = english.get(char) / englishTotal
+            shares.set(char, useText
+                ? (this.histogramCount(char) + HISTOGRAM_PRIOR * englishShare) / (this.histogramTotal + HISTOGRAM_PRIOR)
+                : englishShare)
+        }
+        return shares
+    }
+
+    targetCounts(total = config.letterCount) {
+        const targets = new Map()
+        for (const [char, share] of this.frequencies()) {
+            targets.set(char, Math.max(config.poolMinPerChar, Math.round(share * total)))
+        }
+
+        // Glyphs dropped from the configured sets retire entirely
+        for (const char of this.ocean.lettersByChar.keys()) {
+            if (!targets.has(char)) targets.set(char, 0)
+        }
+        return targets
+    }
+
+    activeCount(char) {
+        let count = 0
+        for (const letter of this.ocean.lettersByChar.get(char)) {
+            if (!letter.retiring) count++
+        }
+        return count
+    }
+
+    rebalance(currentTime) {
+        if (currentTime - this.lastRebalance < config.poolRebalanceInterval) return
+        this.lastRebalance = currentTime
+        this.ocean.syncAlphabet()
+
+        let neediest = null
+        let neediestDeficit = 0
+        let fullest = null
+        let fullestSurplus = 0
+
+        for (const [char, target] of this.targetCounts()) {
+            const deficit = target - this.activeCount(char)
+            if (deficit > neediestDeficit) {
+                neediest = char
+                neediestDeficit = deficit
+            } else if (-deficit > fullestSurplus) {
+                fullest = char
+                fullestSurplus = -deficit
+            }
+        }
+
+        if (neediest) this.spawnAtEdge(neediest)
+        if (fullest) this.retireNearEdge(fullest)
+    }
+
+    spawnAtEdge(char) {
+        const { width, height } = this.ocean
+        const side = Math.floor(random() * 4)
+        const along = random()
+        const x = side === 0 ? 0 : side === 1 ? width : along * width
+        const y = side === 2 ? 0 : side === 3 ? height : along * height
+
+        const letter = this.ocean.addLetter(char, x, y)
+        letter.alpha = 0
+        letter.fadingIn = true
+
+        // Nudge it inward so it joins the ocean rather than drifting off
+        letter.vel.set(width / 2 - x, height / 2 - y).setMag(0.5)
+        return letter
+    }
+
+    retireNearEdge(char) {
+        const { width, height } = this.ocean
+        let candidate = null
+        let closestEdge = Infinity
+
+        for (const letter of this.ocean.lettersByChar.get(char)) {
+            if (letter.recruited || letter.dragging || letter.retiring) continue
+            const edge = Math.min(letter.pos.x, width - letter.pos.x, letter.pos.y, height - letter.pos.y)
+            if (edge < closestEdge) {
+                closestEdge = edge
+                candidate = letter
+            }
+        }
+
+        if (candidate) candidate.retiring = true
+        return candidate
+    }
+
+    // Fade spawning letters in, retiring letters out; returns letters fully gone
+    fade(letter) {
+        if (letter.fadingIn) {
+            letter.alpha = Math.min(255, letter.alpha + FADE_STEP)
+            if (letter.alpha === 255) letter.fadingIn = false
+        } else if (letter.retiring) {
+            letter.alpha = Math.max(0, letter.alpha - FADE_STEP)
+        }
+        return letter.retiring && letter.alpha === 0
+    }
+
+    recordWord(dropped) {
+        this.wordsFormed++
+        this.charsDropped += dropped.length
+        for (const char of dropped) {
+            this.droppedByChar.set(char, (this.droppedByChar.get(char) ?? 0) + 1)
+        }
+
+        this.recentDrops.push(dropped.length)
+        if (this.recentDrops.length > DROP_WINDOW) this.recentDrops.shift()
+    }
+
+    stats() {
+        const recentTotal = this.recentDrops.reduce((sum, count) => sum + count, 0)
+        return {
+            letters: this.ocean.letters.length,
+            wordsFormed: this.wordsFormed,
+            charsDropped: this.charsDropped,
+            droppedPerWord: this.wordsFormed ? this.charsDropped / this.wordsFormed : 0,
+            recentDroppedPerWord: this.recentDrops.length ? recentTotal / this.recentDrops.length : 0,
+            droppedByChar: Object.fromEntries(this.droppedByChar)
+        }
+    }
+}
+
+// ============================================================================
+// OCEAN - The whole simulation: letter pool, word formations, burst scheduling
+// ============================================================================
+
+export class Ocean {
+    // `sentences` is anything with hasSentenceReady() / getNextSentence()
+    // (StreamManager in the browser, a plain array wrapper in tests). A
+    // sentence array may carry a `burst` property naming its choreography
+    // and a `meta` array with one annotation per word.
+    constructor({ width, height, sentences = null }) {
+        this.width = width
+        this.height = height
+        this.sentences = sentences
+
+        this.letters = []
+        this.activeWords = []
+        this.alphabet = ''
+        this.alphabetKey = null // glyphSets + preserveCase the alphabet was built from
+
+        this.lettersByChar = new Map()
+        this.pool = new LetterPool(this)
+
+        // Center position (can be moved by clicking/dragging)
+        this.centerX = width / 2
+        this.centerY = height / 2
+        this.gravityDisabled = false // Temporary gravity disable for zero-g mode
+        this.fields = new FieldSet(config.forceFields) // Wells, walls and flows (see fields.js)
+
+        // Global word spawn direction, slowly rotating
+        this.currentWordDirection = 0
+
+        // Quadtree caching - rebuild every N frames instead of every frame
+        this.quadtree = null
+        this.framesSinceQuadtreeRebuild = 0
+
+        // Word emission timing for bursts
+        this.currentBurst = [] // Remaining steps of the burst being emitted (see BURST CHOREOGRAPHIES)
+        this.nextBurstEmissionTime = 0 // Time when next word in burst can be emitted
+        this.burstCooldownUntil = 0 // Time when next burst can start
+        this.scriptedBursts = null // [{ name, direction }] during replay; bursts then wait for these
+        this.onBurst = null // Observer for every burst started (session recording)
+        this.onWordFormed = null // Observer for every word formed (transcript cursor)
+        this.requestedBurst = null // Choreography to start as soon as a sentence is ready (showcase)
+    }
+
+    populate(count = config.letterCount) {
+        this.syncAlphabet()
+
+        // Size each bucket to the pool's target mix
+        for (const [char, target] of this.pool.targetCounts(count)) {
+            for (let i = 0; i < target; i++) {
+                this.addLetter(char, random() * this.width, random() * this.height)
+            }
+        }
+
+        console.log('Ocean initialized with', this.letters.length, 'letters')
+    }
+
+    // Follow config.glyphSets / preserveCase; new buckets fill in via the pool
+    syncAlphabet() {
+        const key = `${config.glyphSets}|${config.preserveCase}`
+        if (key === this.alphabetKey) return
+        this.alphabetKey = key
+        this.alphabet = buildAlphabet()
+
+        // Character index for O(1) lookup by letter character
+        for (const char of this.alphabet) {
+            if (!this.lettersByChar.has(char)) this.lettersByChar.set(char, [])
+        }
+    }
+
+    addLetter(char, x, y) {
+        const letter = new Letter(char, x, y)
+        this.letters.push(letter)
+        this.lettersByChar.get(char).push(letter)
+        return letter
+    }
+
+    removeLetter(letter) {
+        this.letters.splice(this.letters.indexOf(letter), 1)
+        const bucket = this.lettersByChar.get(letter.char)
+        bucket.splice(bucket.indexOf(letter), 1)
+    }
+
+    resize(width, height) {
+        // Keep the gravity center at the same relative spot (exports change size a lot)
+        this.centerX *= width / this.width
+        this.centerY *= height / this.height
+        this.width = width
+        this.height = height
+        this.quadtree = null // Boundary changed, rebuild next step
+    }
+
+    // Advance one frame; `currentTime` is in ms (wall clock or fixed steps)
+    step(currentTime) {
+        // Rotate global word spawn direction
+        this.currentWordDirection += config.wordRotationSpeed
+
+        // Update word formations
+        for (let i = this.activeWords.length - 1; i >= 0; i--) {
+            const word = this.activeWords[i]
+            word.update()
+
+            if (word.shouldDissolve()) {
+                word.dissolve()
+            }
+
+            if (word.launched) {
+                this.activeWords.splice(i, 1)
+            }
+        }
+
+        // Build quadtree for spatial partitioning (only every N frames)
+        this.framesSinceQuadtreeRebuild++
+        if (this.quadtree === null || this.framesSinceQuadtreeRebuild >= config.quadtreeRebuildInterval) {
+            this.rebuildQuadtree()
+        }
+
+        // Follow config.forceFields when it's replaced (preset import, console)
+        if (this.fields.fields !== config.forceFields) this.fields.set(config.forceFields)
+        this.fields.prepare(currentTime, this.width, this.height)
+        const gravityOn = config.gravityEnabled && !this.gravityDisabled
+
+        // Apply forces to letters
+        for (const letter of this.letters) {
+            letter.applyNeighborForces(this.quadtree)
+
+            // Only apply gravity if not disabled; fields then keep just their walls
+            if (gravityOn) {
+                letter.gravitate(this.centerX, this.centerY)
+            }
+            this.fields.apply(letter, !gravityOn)
+
+            // Use direct word reference instead of Map lookup
+            letter.swim(letter.word?.currentOrientation ?? null)
+        }
+
+        for (let i = this.letters.length - 1; i >= 0; i--) {
+            const letter = this.letters[i]
+            letter.update()
+            if (this.pool.fade(letter)) this.removeLetter(letter)
+        }
+
+        this.pool.rebalance(currentTime)
+        this.updateBursts(currentTime)
+    }
+
+    // Closest letter under (x, y) - within twice its radius - found through the
+    // quadtree; letters already held by a pointer or fading out are skipped
+    letterAt(x, y) {
+        if (this.quadtree === null) this.rebuildQuadtree()
+        // Letters drift between rebuilds, so search a little wider than they reach
+        const reach = config.letterSize + config.maxLetterSpeed * config.quadtreeRebuildInterval
+        const candidates = this.quadtree.query(new Rectangle(x, y, reach, reach))
+
+        let closest = null
+        let closestDistSq = Infinity
+        for (const letter of candidates) {
+            // A retiring letter is removed once faded, even from a visitor's hand
+            if (letter.dragging || letter.retiring) continue
+            const distSq = (letter.pos.x - x) ** 2 + (letter.pos.y - y) ** 2
+            if (distSq < (letter.radius * 2) ** 2 && distSq < closestDistSq) {
+                closestDistSq = distSq
+                closest = letter
+            }
+        }
+        return closest
+    }
+
+    // Start a burst with choreography `name` without waiting out the cooldown
+    requestBurst(name) {
+        this.requestedBurst = name
+    }
+
+    // Resize every letter, e.g. from a pinch; keeps their mass
+    setLetterSize(size) {
+        config.letterSize = size
+        for (const letter of this.letters) {
+            letter.size = size
+            letter.radius = size / 2
+            letter.momentOfInertia = letter.mass * letter.radius * letter.radius
+        }
+    }
+
+    rebuildQuadtree() {
+        const boundary = new Rectangle(this.width / 2, this.height / 2, this.width / 2, this.height / 2)
+        this.quadtree = new Quadtree(boundary)
+        for (const letter of this.letters) {
+            this.quadtree.insert(letter)
+        }
+        this.framesSinceQuadtreeRebuild = 0
+    }
+
+    updateBursts(currentTime) {
+        // Start new burst if cooldown expired or one was requested (or,
+        // replaying, the recording says so) and bursts available
+        const due = this.scriptedBursts
+            ? this.scriptedBursts.length > 0
+            : currentTime >= this.burstCooldownUntil || this.requestedBurst !== null
+        if (this.currentBurst.length === 0 && due && this.sentences?.hasSentenceReady()) {
+            const sentence = this.sentences.getNextSentence()
+            const words = sentence.slice(0, config.maxBurstWords)
+            const script = this.scriptedBursts?.shift()
+            const direction = script?.direction ?? this.currentWordDirection
+            const burst = planBurst(words, direction, script?.name ?? this.requestedBurst ?? sentence.burst, {
+                wells: this.fields.wells
+            })
+            this.requestedBurst = null
+            if (sentence.meta) attachMeta(burst.steps, words, sentence.meta)
+            this.onBurst?.({ name: burst.name, direction, words })
+
+            this.currentBurst = burst.steps
+            if (burst.disableGravity) this.gravityDisabled = true
+            this.nextBurstEmissionTime = currentTime + (this.currentBurst[0]?.delay ?? 0)
+            console.log(`🎆 Burst started: ${burst.name} mode, ${this.currentBurst.length} words`)
+        }
+
+        // Emit every burst word that is due (some choreographies launch several at once)
+        while (this.currentBurst.length > 0 && currentTime >= this.nextBurstEmissionTime) {
+            const step = this.currentBurst.shift()
+            this.formWord(step.word, step.direction, step.offsetX ?? 0, step.offsetY ?? 0, step.meta, step.well)
+            console.log(`📤 Burst word: "${step.word}"`)
+
+            // Schedule next emission or start cooldown
+            if (this.currentBurst.length > 0) {
+                this.nextBurstEmissionTime = currentTime + (this.currentBurst[0].delay ?? config.burstWordDelay)
+            } else {
+                // Burst complete, start cooldown and re-enable gravity
+                this.burstCooldownUntil = currentTime + config.burstCooldown
+                this.gravityDisabled = false // Re-enable gravity
+                console.log(`⏸️  Burst complete - cooldown started (${config.burstCooldown / 1000}s)`)
+            }
+        }
+    }
+
+    // Where words launch from: the named well if there is one, else the center
+    launchPoint(well = null) {
+        const point = well ? this.fields.point(well) : null
+        if (well && !point) console.warn(`🧲 No well named "${well}", launching from the center`)
+        return point ?? { x: this.centerX, y: this.centerY }
+    }
+
+    // Form a word by recruiting letters, launched from the center (or the
+    // force field named `well`) plus an optional offset
+    // `meta` is the word's annotation, if it has one (see annotator.js)
+    formWord(word, direction = null, offsetX = 0, offsetY = 0, meta = null, well = null) {
+        this.onWordFormed?.(word)
+        word = normalizeGlyphs(word)
+        const origin = this.launchPoint(well)
+        const formation = new WordFormation(
+            word,
+            origin.x + offsetX,
+            origin.y + offsetY,
+            direction ?? this.currentWordDirection,
+            wordStyle(meta)
+        )
+
+        const formX = formation.pos.x
+        const formY = formation.pos.y
+        const dropped = []
+
+        const glyphs = Array.from(word)
+        for (let i = 0; i < glyphs.length; i++) {
+            const char = glyphs[i]
+
+            // Use character index for O(1) lookup instead of filtering all letters
+            const charLetters = this.lettersByChar.get(char)
+            if (!charLetters) {
+                console.warn(`No available letter "${char}"`)
+                dropped.push(char)
+                continue
+            }
+
+            // Find closest unrequited letter using squared distance (no vector allocations)
+            let closestLetter = null
+            let closestDistSq = Infinity
+
+            for (const letter of charLetters) {
+                if (letter.recruited || letter.retiring) continue
+                const dx = letter.pos.x - formX
+                const dy = letter.pos.y - formY
+                const distSq = dx * dx + dy * dy
+                if (distSq < closestDistSq) {
+                    closestDistSq = distSq
+                    closestLetter = letter
+                }
+            }
+
+            if (closestLetter === null) {
+                console.warn(`No available letter "${char}"`)
+                dropped.push(char)
+                continue
+            }
+
+            closestLetter.recruited = true
+            closestLetter.wordId = formation.id
+            closestLetter.word = formation  // Store reference for direct orientation lookup
+            closestLetter.targetIndex = i
+            formation.letters.push(closestLetter)
+        }
+
+        this.pool.recordWord(dropped)
+        formation.updateTargetPositions()
+        this.activeWords.push(formation)
+        return formation
+    }
+
+}
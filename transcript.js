@@ -0,0 +1,180 @@
+// ============================================================================
+// TRANSCRIPT - The full generated text, readable alongside the canvas
+// ============================================================================
+//
+// The canvas shows a few words of a sentence now and then; the transcript
+// keeps every sentence as generated (after moderation), each word tagged
+// 'prompt', 'visitor' or 'model', plus a cursor on the word the canvas is forming.
+//   Transcript     -> entries and cursor; pure, no DOM
+//   TranscriptView -> renders one into an element (side panel or own page)
+//   shareTranscript / followTranscript -> mirror it into a second window
+//                     over BroadcastChannel
+
+import { wordCore } from './filters.js'
+
+const ENTRY_LIMIT = 2000 // Sentences kept (and downloadable)
+const CURSOR_LOOKAHEAD = 400 // Words searched ahead of the cursor for the next canvas word
+const CHANNEL_NAME = 'word-bag-transcript'
+
+export class Transcript {
+    constructor() {
+        this.entries = [] // { id, time, words: [{ text, origin }] }
+        this.nextId = 1
+        this.cursor = null // { id, index } of the word being formed
+        this.onEntry = null // (entry)
+        this.onCursor = null // (cursor)
+    }
+
+    // `id` is only passed when mirroring another window's transcript
+    add(words, time = new Date(), id = this.nextId) {
+        const entry = { id, time: time.toISOString(), words }
+        this.nextId = id + 1
+        this.entries.push(entry)
+        if (this.entries.length > ENTRY_LIMIT) this.entries.shift()
+        this.onEntry?.(entry)
+        return entry
+    }
+
+    // Move the cursor to the next occurrence of `word` after it. Canvas words
+    // arrive in order, so words skipped over (burst limits, masks) are passed.
+    highlight(word) {
+        const core = wordCore(word)
+        if (!core) return null
+
+        let start = this.cursor ? this.entries.findIndex(entry => entry.id === this.cursor.id) : 0
+        let index = this.cursor && start >= 0 ? this.cursor.index + 1 : 0
+        if (start < 0) start = 0
+
+        let searched = 0
+        for (let i = start; i < this.entries.length && searched < CURSOR_LOOKAHEAD; i++, index = 0) {
+            const { id, words } = this.entries[i]
+            for (; index < words.length && searched < CURSOR_LOOKAHEAD; index++, searched++) {
+                if (wordCore(words[index].text) !== core) continue
+                this.setCursor({ id, index })
+                return this.cursor
+            }
+        }
+        return null
+    }
+
+    setCursor(cursor) {
+        this.cursor = cursor
+        this.onCursor?.(cursor)
+    }
+
+    load({ entries, cursor }) {
+        this.entries = entries.slice(-ENTRY_LIMIT)
+        this.nextId = (this.entries[this.entries.length - 1]?.id ?? 0) + 1
+        this.cursor = cursor
+    }
+
+    toJSON() {
+        return { entries: this.entries, cursor: this.cursor }
+    }
+
+    // Plain-text log, one timestamped sentence per line, prompt words in «»
+    toLog() {
+        return this.entries.map(({ time, words }) => {
+            const text = words
+                .map(({ text, origin }, i) => {
+                    const opens = origin === 'prompt' && words[i - 1]?.origin !== 'prompt'
+                    const closes = origin === 'prompt' && words[i + 1]?.origin !== 'prompt'
+                    return `${opens ? '«' : ''}${text}${closes ? '»' : ''}`
+                })
+                .join(' ')
+            return `[${time}] ${text}`
+        }).join('\n') + '\n'
+    }
+}
+
+// Renders the latest sentences: a new paragraph per prompt, prompt and
+// visitor words in .prompt / .visitor and the canvas word in .current. Redraws at most every `refresh` ms
+// (slow refreshes suit e-ink).
+export class TranscriptView {
+    constructor(el, transcript, { refresh = 1000, maxEntries = 200 } = {}) {
+        this.el = el
+        this.transcript = transcript
+        this.refresh = refresh
+        this.maxEntries = maxEntries
+        this.timer = null
+        this.lastRender = 0
+    }
+
+    // Call whenever the transcript changes; renders now or after the refresh gap
+    schedule() {
+        if (this.timer) return
+        const wait = Math.max(0, this.lastRender + this.refresh - Date.now())
+        this.timer = setTimeout(() => {
+            this.timer = null
+            this.render()
+        }, wait)
+    }
+
+    render() {
+        this.lastRender = Date.now()
+        const { entries, cursor } = this.transcript
+        const fragment = document.createDocumentFragment()
+        let paragraph = null
+        let current = null
+
+        for (const entry of entries.slice(-this.maxEntries)) {
+            if (!paragraph || entry.words.some(word => word.origin === 'prompt')) {
+                paragraph = document.createElement('p')
+                fragment.appendChild(paragraph)
+            }
+
+            entry.words.forEach(({ text, origin }, index) => {
+                const isCurrent = cursor?.id === entry.id && cursor.index === index
+                if (origin !== 'model' || isCurrent) {
+                    const span = document.createElement('span')
+                    span.className = isCurrent ? `current ${origin}` : origin
+                    span.textContent = text
+                    paragraph.appendChild(span)
+                    if (isCurrent) current = span
+                } else {
+                    paragraph.appendChild(document.createTextNode(text))
+                }
+                paragraph.appendChild(document.createTextNode(' '))
+            })
+        }
+
+        this.el.replaceChildren(fragment)
+        if (current) current.scrollIntoView({ block: 'center' })
+        else this.el.scrollTop = this.el.scrollHeight
+    }
+}
+
+// Main window side: publish every change, and the whole transcript to any
+// viewer that says hello
+export function shareTranscript(transcript) {
+    if (typeof BroadcastChannel === 'undefined') return null
+    const channel = new BroadcastChannel(CHANNEL_NAME)
+    const { onEntry, onCursor } = transcript
+
+    transcript.onEntry = (entry) => {
+        onEntry?.(entry)
+        channel.postMessage({ type: 'entry', entry })
+    }
+    transcript.onCursor = (cursor) => {
+        onCursor?.(cursor)
+        channel.postMessage({ type: 'cursor', cursor })
+    }
+    channel.onmessage = ({ data }) => {
+        if (data.type === 'hello') channel.postMessage({ type: 'sync', transcript: transcript.toJSON() })
+    }
+    return channel
+}
+
+// Viewer side: mirror the main window's transcript; `onChange` after each update
+export function followTranscript(transcript, onChange) {
+    const channel = new BroadcastChannel(CHANNEL_NAME)
+    channel.onmessage = ({ data }) => {
+        if (data.type === 'sync') transcript.load(data.transcript)
+        else if (data.type === 'entry') transcript.add(data.entry.words, new Date(data.entry.time), data.entry.id)
+        else if (data.type === 'cursor') transcript.setCursor(data.cursor)
+        else return
+        onChange()
+    }
+    channel.postMessage({ type: 'hello' })
+    return channel
+}
@@ -0,0 +1,194 @@
+// ============================================================================
+// VISITOR - Words offered by visitors, fed back into generation
+// ============================================================================
+//
+// Two ways in, both ending in VisitorWords.submit():
+//   keyboard -> letters typed and sent with Enter (the sketch buffers them)
+//   cluster  -> letters dragged next to each other, read left to right once
+//               the visitor stops moving them (ClusterSpeller)
+// A submitted word must pass:
+//   shape      -> letters only, minLength..maxLength
+//   moderation -> any moderation word rule rejects it, whatever the mode or
+//                 hours - visitor input is never trusted
+//   rate       -> cooldown between words and a per-minute cap
+//   repeats    -> not already waiting or used recently
+// Accepted words wait in a short queue for StreamManager's next prompt.
+// Each is then "owed a credit": the next time the model says it, the word is
+// tagged origin 'visitor' so the canvas can mark it.
+
+import { wordCore } from './filters.js'
+
+const QUEUE_LIMIT = 5
+const RECENT_LIMIT = 50 // Words remembered to refuse repeats
+const CREDIT_TTL = 10 * 60 * 1000 // ms a used word waits to be credited
+
+export const DEFAULT_VISITOR_OPTIONS = {
+    minLength: 4, // Matches the word filter's default minLength
+    maxLength: 16,
+    cooldown: 5000, // ms between accepted words
+    maxPerMinute: 3
+}
+
+export class VisitorWords {
+    // `moderator` is a Moderator; its scoreWord screens every submission
+    constructor(moderator, options = {}) {
+        this.moderator = moderator
+        this.configure(options)
+        this.queue = [] // { word, source, time } waiting for a prompt
+        this.recent = [] // Cores accepted lately
+        this.accepted = [] // Accept times within the last minute
+        this.credits = new Map() // core -> expiry time
+        this.onSubmit = null // ({ word, source, accepted, reason })
+    }
+
+    configure(options) {
+        this.options = { ...DEFAULT_VISITOR_OPTIONS, ...options }
+    }
+
+    // Returns { accepted, reason } - reason is shown to the visitor on refusal
+    submit(text, source = 'keyboard', now = Date.now()) {
+        const result = this.review(text, now)
+        const word = text.toLowerCase()
+        if (result.accepted) {
+            this.queue.push({ word, source, time: now })
+            if (this.queue.length > QUEUE_LIMIT) this.queue.shift()
+            this.recent.push(wordCore(word))
+            if (this.recent.length > RECENT_LIMIT) this.recent.shift()
+            this.accepted.push(now)
+            console.log(`🙋 Visitor word (${source}): "${word}"`)
+        } else {
+            console.log(`🙅 Visitor word refused (${result.reason}): "${text}"`)
+        }
+        this.onSubmit?.({ word, source, ...result })
+        return result
+    }
+
+    review(text, now) {
+        const { minLength, maxLength, cooldown, maxPerMinute } = this.options
+        if (!/^\p{L}+$/u.test(text)) return { accepted: false, reason: 'letters only' }
+        if (text.length < minLength || text.length > maxLength) return { accepted: false, reason: 'length' }
+
+        const { severity, rules } = this.moderator.scoreWord(text)
+        if (severity > 0) {
+            this.moderator.record('visitor', 'skip', text, severity, rules, new Date(now))
+            return { accepted: false, reason: 'moderation' }
+        }
+
+        this.accepted = this.accepted.filter(time => now - time < 60000)
+        const last = this.accepted[this.accepted.length - 1]
+        if (last !== undefined && now - last < cooldown) return { accepted: false, reason: 'cooldown' }
+        if (this.accepted.length >= maxPerMinute) return { accepted: false, reason: 'rate limit' }
+        if (this.recent.includes(wordCore(text))) return { accepted: false, reason: 'repeat' }
+        return { accepted: true, reason: null }
+    }
+
+    // Next waiting word for a prompt, or null
+    take(now = Date.now()) {
+        const next = this.queue.shift()
+        if (!next) return null
+        this.credits.set(wordCore(next.word), now + CREDIT_TTL)
+        return next.word
+    }
+
+    // True (once) when `word` is a visitor word still owed a credit
+    credit(word, now = Date.now()) {
+        const core = wordCore(word)
+        const expires = this.credits.get(core)
+        if (expires === undefined) return false
+        this.credits.delete(core)
+        return expires > now
+    }
+
+    stats() {
+        return { waiting: this.queue.map(entry => entry.word), owedCredit: [...this.credits.keys()] }
+    }
+}
+
+// Reads a word from letters a visitor has dragged together. Only dropped
+// letters count - free letters all huddle around the gravity center anyway.
+export const DEFAULT_CLUSTER_OPTIONS = {
+    radius: 60, // px between neighbouring letters of one cluster
+    delay: 3000, // ms after the last drop before the cluster is read
+    minLength: 4,
+    memory: 60000 // ms a dropped letter keeps counting
+}
+
+export class ClusterSpeller {
+    constructor(options = {}) {
+        this.configure(options)
+        this.dropped = new Map() // letter -> drop time
+        this.lastDrop = 0
+    }
+
+    configure(options) {
+        this.options = { ...DEFAULT_CLUSTER_OPTIONS, ...options }
+    }
+
+    drop(letter, now = Date.now()) {
+        this.dropped.set(letter, now)
+        this.lastDrop = now
+    }
+
+    // Once `delay` has passed since the last drop, spell the largest cluster of
+    // dropped letters (chained within `radius`), left to right; null otherwise
+    poll(now = Date.now()) {
+        const { radius, delay, minLength, memory } = this.options
+        if (this.dropped.size === 0 || now - this.lastDrop < delay) return null
+
+        for (const [letter, time] of this.dropped) {
+            if (now - time > memory || letter.recruited || letter.retiring) this.dropped.delete(letter)
+        }
+        const cluster = largestCluster([...this.dropped.keys()], radius)
+        if (cluster.length < minLength) return null
+
+        for (const letter of cluster) this.dropped.delete(letter)
+        return cluster.sort((a, b) => a.pos.x - b.pos.x).map(letter => letter.char).join('')
+    }
+}
+
+// Single-linkage grouping; fine for the handful of letters a visitor moves
+function largestCluster(letters, radius) {
+    const radiusSq = radius * radius
+    const unvisited = new Set(letters)
+    let largest = []
+
+    while (unvisited.size > 0) {
+        const [first] = unvisited
+        unvisited.delete(first)
+        const cluster = [first]
+        for (let i = 0; i < cluster.length; i++) {
+            for (const other of unvisited) {
+                const dx = cluster[i].pos.x - other.pos.x
+                const dy = cluster[i].pos.y - other.pos.y
+                if (dx * dx + dy * dy > radiusSq) continue
+                unvisited.delete(other)
+                cluster.push(other)
+            }
+        }
+        if (cluster.length > largest.length) largest = cluster
+    }
+    return largest
+}
+
+// Words shorter than the word filter's minimum would never reach the ocean,
+// so they are refused up front
+function visitorMinLength(config) {
+    return Math.max(config.visitorMinLength, config.filterMinLength)
+}
+
+export function visitorOptionsFromConfig(config) {
+    return {
+        minLength: visitorMinLength(config),
+        maxLength: config.visitorMaxLength,
+        cooldown: config.visitorCooldown,
+        maxPerMinute: config.visitorMaxPerMinute
+    }
+}
+
+export function clusterOptionsFromConfig(config) {
+    return {
+        radius: config.visitorClusterRadius,
+        delay: config.visitorClusterDelay,
+        minLength: visitorMinLength(config)
+    }
+}